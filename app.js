@@ -7,10 +7,40 @@
 const App = (function() {
   'use strict';
 
+  // Fuelly reads SMS values in the account's units
+  const LITRES_PER_GALLON = 3.785411784;
+  const KM_PER_MILE = 1.609344;
+
+  // iPhone photo names; the file type isn't always set for them outside Safari
+  const HEIC_EXTENSION = /\.hei[cf]$/i;
+
+  // Crop boxes smaller than this share of the photo's width or height are ignored
+  const MIN_CROP_SIZE = 0.05;
+
+  // What to tell the user about each photo quality issue (short label on the thumbnail)
+  const QUALITY_MESSAGES = {
+    blurry: { label: 'Blurry', text: 'too blurry — retake?' },
+    dark: { label: 'Dark', text: 'too dark — retake with more light?' },
+    overexposed: { label: 'Too bright', text: 'overexposed — retake out of direct sun?' },
+    glare: { label: 'Glare', text: 'glare on the display — tilt the phone and retake?' },
+    small: { label: 'Low res', text: 'low resolution — retake closer?' }
+  };
+
   // Application state
   const state = {
     uploadedFiles: [],
+    // Region to read per photo, {x, y, width, height} as fractions of the image, or null
+    crops: [],
+    // Crop being drawn: {index, box, start}
+    cropEdit: null,
+    // Quality issues per photo ('blurry', 'dark', ...), empty until checked
+    quality: [],
+    // EXIF orientation, capture time and location per photo
+    metadata: [],
+    // Photos selected but still being read or converted; they count toward the limit
+    pendingPhotos: 0,
     extractedData: null,
+    photoAssignment: null,
     debugLog: []
   };
 
@@ -27,6 +57,23 @@ const App = (function() {
     photosInput: null,
     uploadLabelText: null,
     previewsContainer: null,
+    qualityNotes: null,
+    // Crop editor
+    cropOverlay: null,
+    cropStage: null,
+    cropImage: null,
+    cropBox: null,
+    cropApplyBtn: null,
+    cropClearBtn: null,
+    cropCancelBtn: null,
+    // Settings
+    unitSystem: null,
+    locale: null,
+    pumpEngine: null,
+    pumpEngineNote: null,
+    ocrMode: null,
+    odometerType: null,
+    fuellyUnits: null,
     // Slot counter
     slotCounter: null,
     counterSlot1: null,
@@ -40,13 +87,32 @@ const App = (function() {
     price: null,
     total: null,
     miles: null,
+    grade: null,
+    gallonsLabel: null,
+    priceLabel: null,
+    totalLabel: null,
+    milesLabel: null,
     // Confidence displays
     gallonsConfidence: null,
     priceConfidence: null,
     totalConfidence: null,
     milesConfidence: null,
+    gradeConfidence: null,
     pumpConfidence: null,
+    pumpSource: null,
+    odometerSource: null,
+    swapPhotosBtn: null,
     odometerConfidence: null,
+    // Field notes (repaired/computed values)
+    gallonsNote: null,
+    priceNote: null,
+    totalNote: null,
+    milesNote: null,
+    // Alternative readings
+    gallonsCandidates: null,
+    priceCandidates: null,
+    totalCandidates: null,
+    milesCandidates: null,
     // Processing
     processingStatus: null,
     // Error
@@ -60,10 +126,40 @@ const App = (function() {
    */
   function init() {
     cacheElements();
+    loadSettings();
     setupEventListeners();
     setupDebugDisplay();
   }
 
+  /**
+   * Get the units the Fuelly account is set to (defaults to the photo units)
+   */
+  function getFuellyUnits() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem('fuelly_account_units');
+    } catch (e) {
+      // localStorage might not be available
+    }
+    return stored ||
+           (typeof CONFIG !== 'undefined' && CONFIG.fuellyUnits) ||
+           OCR.getUnitSystem();
+  }
+
+  /**
+   * Show saved settings in the capture view
+   */
+  function loadSettings() {
+    elements.unitSystem.value = OCR.getUnitSystem();
+    elements.locale.value = OCR.getLocale();
+    elements.pumpEngine.value = OCR.getPumpEngine();
+    elements.pumpEngineNote.hidden = elements.pumpEngine.value !== 'seven-segment';
+    elements.ocrMode.value = OCR.getOcrMode();
+    elements.odometerType.value = OCR.getOdometerType();
+    elements.fuellyUnits.value = getFuellyUnits();
+    updateUnitLabels(OCR.getUnitSystem(), OCR.getUnits().distance.unit);
+  }
+
   /**
    * Set up debug display for troubleshooting
    */
@@ -104,6 +200,25 @@ const App = (function() {
     elements.photosInput = document.getElementById('photos-input');
     elements.uploadLabelText = document.getElementById('upload-label-text');
     elements.previewsContainer = document.getElementById('previews');
+    elements.qualityNotes = document.getElementById('quality-notes');
+
+    // Crop editor
+    elements.cropOverlay = document.getElementById('crop-overlay');
+    elements.cropStage = document.getElementById('crop-stage');
+    elements.cropImage = document.getElementById('crop-image');
+    elements.cropBox = document.getElementById('crop-box');
+    elements.cropApplyBtn = document.getElementById('crop-apply-btn');
+    elements.cropClearBtn = document.getElementById('crop-clear-btn');
+    elements.cropCancelBtn = document.getElementById('crop-cancel-btn');
+
+    // Settings
+    elements.unitSystem = document.getElementById('unit-system');
+    elements.locale = document.getElementById('locale');
+    elements.pumpEngine = document.getElementById('pump-engine');
+    elements.pumpEngineNote = document.getElementById('pump-engine-note');
+    elements.ocrMode = document.getElementById('ocr-mode');
+    elements.odometerType = document.getElementById('odometer-type');
+    elements.fuellyUnits = document.getElementById('fuelly-units');
 
     // Slot counter
     elements.slotCounter = document.getElementById('slot-counter');
@@ -112,6 +227,7 @@ const App = (function() {
 
     // Buttons
     elements.extractBtn = document.getElementById('extract-btn');
+    elements.exportHistoryBtn = document.getElementById('export-history-btn');
     elements.sendSmsBtn = document.getElementById('send-sms-btn');
     elements.backBtn = document.getElementById('back-btn');
 
@@ -120,15 +236,37 @@ const App = (function() {
     elements.price = document.getElementById('price');
     elements.total = document.getElementById('total');
     elements.miles = document.getElementById('miles');
+    elements.grade = document.getElementById('grade');
+    elements.fillupDate = document.getElementById('fillup-date');
+    elements.gallonsLabel = document.getElementById('gallons-label');
+    elements.priceLabel = document.getElementById('price-label');
+    elements.totalLabel = document.getElementById('total-label');
+    elements.milesLabel = document.getElementById('miles-label');
 
     // Confidence displays
     elements.gallonsConfidence = document.getElementById('gallons-confidence');
     elements.priceConfidence = document.getElementById('price-confidence');
     elements.totalConfidence = document.getElementById('total-confidence');
     elements.milesConfidence = document.getElementById('miles-confidence');
+    elements.gradeConfidence = document.getElementById('grade-confidence');
     elements.pumpConfidence = document.getElementById('pump-confidence');
+    elements.pumpSource = document.getElementById('pump-source');
+    elements.odometerSource = document.getElementById('odometer-source');
+    elements.swapPhotosBtn = document.getElementById('swap-photos-btn');
     elements.odometerConfidence = document.getElementById('odometer-confidence');
 
+    // Field notes
+    elements.gallonsNote = document.getElementById('gallons-note');
+    elements.priceNote = document.getElementById('price-note');
+    elements.totalNote = document.getElementById('total-note');
+    elements.milesNote = document.getElementById('miles-note');
+    elements.fillupDateNote = document.getElementById('fillup-date-note');
+    elements.fillupLocation = document.getElementById('fillup-location');
+    elements.gallonsCandidates = document.getElementById('gallons-candidates');
+    elements.priceCandidates = document.getElementById('price-candidates');
+    elements.totalCandidates = document.getElementById('total-candidates');
+    elements.milesCandidates = document.getElementById('miles-candidates');
+
     // Processing
     elements.processingStatus = document.getElementById('processing-status');
 
@@ -158,38 +296,108 @@ const App = (function() {
       }
     });
 
+    // Crop editor: drag a box over the photo
+    elements.cropStage.addEventListener('pointerdown', handleCropPointerDown);
+    elements.cropStage.addEventListener('pointermove', handleCropPointerMove);
+    elements.cropStage.addEventListener('pointerup', handleCropPointerUp);
+    elements.cropStage.addEventListener('pointercancel', handleCropPointerUp);
+    elements.cropApplyBtn.addEventListener('click', handleCropApply);
+    elements.cropClearBtn.addEventListener('click', handleCropClear);
+    elements.cropCancelBtn.addEventListener('click', closeCropEditor);
+
+    // Settings are saved as soon as they change
+    elements.unitSystem.addEventListener('change', function() {
+      OCR.setUnitSystem(elements.unitSystem.value);
+      updateUnitLabels(OCR.getUnitSystem(), OCR.getUnits().distance.unit);
+    });
+    elements.locale.addEventListener('change', function() {
+      OCR.setLocale(elements.locale.value);
+      updateUnitLabels(OCR.getUnitSystem(), OCR.getUnits().distance.unit);
+    });
+    elements.pumpEngine.addEventListener('change', function() {
+      OCR.setPumpEngine(elements.pumpEngine.value);
+      elements.pumpEngineNote.hidden = elements.pumpEngine.value !== 'seven-segment';
+    });
+    elements.ocrMode.addEventListener('change', function() {
+      OCR.setOcrMode(elements.ocrMode.value);
+    });
+    elements.odometerType.addEventListener('change', function() {
+      OCR.setOdometerType(elements.odometerType.value);
+    });
+    elements.fuellyUnits.addEventListener('change', function() {
+      try {
+        localStorage.setItem('fuelly_account_units', elements.fuellyUnits.value);
+      } catch (e) {
+        // localStorage might not be available
+      }
+    });
+
+    // An edited grade replaces the detected one in the extracted data
+    elements.grade.addEventListener('change', function() {
+      if (state.extractedData && state.extractedData.pump) {
+        state.extractedData.pump.grade = { value: elements.grade.value || null, confidence: 100 };
+      }
+      updateConfidenceDisplay(elements.gradeConfidence, 0);
+    });
+
     elements.extractBtn.addEventListener('click', handleExtract);
+    elements.swapPhotosBtn.addEventListener('click', handleSwapPhotos);
     elements.sendSmsBtn.addEventListener('click', handleSendSms);
     elements.backBtn.addEventListener('click', handleBack);
+    elements.exportHistoryBtn.addEventListener('click', handleExportHistory);
     elements.dismissError.addEventListener('click', hideError);
   }
 
   /**
    * Handle photo uploads (up to 2 photos)
    */
-  function handlePhotosUpload(e) {
+  async function handlePhotosUpload(e) {
     console.log('handlePhotosUpload called, files:', e.target.files);
-    const newFiles = Array.from(e.target.files);
+    const selectedFiles = Array.from(e.target.files);
 
-    if (newFiles.length === 0) return;
+    if (selectedFiles.length === 0) return;
 
-    // Validate all are images
-    for (const file of newFiles) {
-      if (!file.type.startsWith('image/')) {
+    // Validate all are images (HEIC files may come without a type outside Safari)
+    for (const file of selectedFiles) {
+      if (!file.type.startsWith('image/') && !HEIC_EXTENSION.test(file.name)) {
         showError('Please select only image files');
         return;
       }
     }
 
-    // Check total limit (2 photos max)
-    if (state.uploadedFiles.length + newFiles.length > 2) {
+    // Check total limit (2 photos max), counting photos from an earlier selection
+    // that are still being read or converted
+    if (state.uploadedFiles.length + state.pendingPhotos + selectedFiles.length > 2) {
       showError('Maximum 2 photos allowed. Remove some first.');
       return;
     }
 
+    // Clear file input so same files can be selected again if needed
+    elements.photosFile.value = '';
+
+    // Reserve the slots until the photos are added
+    state.pendingPhotos += selectedFiles.length;
+    let metadata;
+    let newFiles;
+    try {
+      // Metadata is read from the originals since converted HEIC photos lose it
+      metadata = await Promise.all(selectedFiles.map(file => Exif.readFile(file)));
+      newFiles = await Promise.all(selectedFiles.map((file, i) => toDecodableFile(file, metadata[i])));
+    } catch (err) {
+      console.error('HEIC conversion failed:', err);
+      updateUploadLabel();
+      showError(err.message);
+      return;
+    } finally {
+      state.pendingPhotos -= selectedFiles.length;
+    }
+
     // Append new files to existing
     const startIndex = state.uploadedFiles.length;
     state.uploadedFiles = [...state.uploadedFiles, ...newFiles];
+    state.crops = [...state.crops, ...newFiles.map(() => null)];
+    state.quality = [...state.quality, ...newFiles.map(() => [])];
+    state.metadata = [...state.metadata, ...metadata];
     console.log('Total files now:', state.uploadedFiles.length);
 
     // Update upload label immediately
@@ -208,27 +416,9 @@ const App = (function() {
         console.log('File loaded:', file.name, 'data length:', event.target.result?.length);
 
         try {
-          // Create preview element with CSS classes
-          const previewDiv = document.createElement('div');
-          previewDiv.className = 'preview-container';
-
-          const img = document.createElement('img');
-          img.src = event.target.result;
-          img.className = 'preview';
-          previewDiv.appendChild(img);
-
-          // Add remove button with CSS class
-          const removeBtn = document.createElement('button');
-          removeBtn.innerHTML = '×';
-          removeBtn.type = 'button';
-          removeBtn.className = 'preview-remove';
-          removeBtn.onclick = function() {
-            removePhoto(actualIndex);
-          };
-          previewDiv.appendChild(removeBtn);
-
-          elements.previewsContainer.appendChild(previewDiv);
+          elements.previewsContainer.appendChild(createPreview(event.target.result, actualIndex));
           console.log('Preview appended, container children:', elements.previewsContainer.children.length);
+          checkPhotoQuality(event.target.result, file);
 
           loadedCount++;
           if (loadedCount === newFiles.length) {
@@ -249,9 +439,45 @@ const App = (function() {
 
       reader.readAsDataURL(file);
     });
+  }
 
-    // Clear file input so same files can be selected again if needed
-    elements.photosFile.value = '';
+  /**
+   * Convert a HEIC photo to JPEG if the browser can't show it (anything but Safari)
+   * Decoding applies the photo's rotation, so its EXIF orientation no longer applies
+   * @param {File} file - Uploaded photo
+   * @param {object} metadata - The photo's EXIF metadata, updated when converted
+   * @returns {Promise<File>} The photo as is, or a JPEG copy
+   */
+  async function toDecodableFile(file, metadata) {
+    const header = await file.slice(0, 12).arrayBuffer();
+    if (!HeicDecoder.isHeic(header) || await canDecodeImage(file)) {
+      return file;
+    }
+
+    elements.uploadLabelText.textContent = 'Converting HEIC...';
+    const jpeg = await HeicDecoder.toJpeg(file);
+    metadata.orientation = 1;
+    console.log('Converted HEIC to JPEG:', file.name, file.size, '->', jpeg.size);
+    return new File([jpeg], file.name.replace(HEIC_EXTENSION, '') + '.jpg', { type: 'image/jpeg' });
+  }
+
+  /**
+   * Whether the browser can decode an image file itself
+   */
+  function canDecodeImage(file) {
+    return new Promise(resolve => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = function() {
+        URL.revokeObjectURL(url);
+        resolve(true);
+      };
+      img.onerror = function() {
+        URL.revokeObjectURL(url);
+        resolve(false);
+      };
+      img.src = url;
+    });
   }
 
   /**
@@ -291,11 +517,267 @@ const App = (function() {
     }
   }
 
+  /**
+   * Create the preview thumbnail for a photo, with its crop and remove buttons
+   */
+  function createPreview(imageData, index) {
+    const previewDiv = document.createElement('div');
+    previewDiv.className = 'preview-container';
+    previewDiv.dataset.index = index;
+    previewDiv.classList.toggle('cropped', !!state.crops[index]);
+    previewDiv.classList.toggle('quality-warning', (state.quality[index] || []).length > 0);
+
+    const img = document.createElement('img');
+    img.src = imageData;
+    img.className = 'preview';
+    previewDiv.appendChild(img);
+
+    const cropBtn = document.createElement('button');
+    cropBtn.innerHTML = '⌗';
+    cropBtn.type = 'button';
+    cropBtn.className = 'preview-crop';
+    cropBtn.setAttribute('aria-label', 'Select the region to read');
+    cropBtn.onclick = function() {
+      openCropEditor(index, imageData);
+    };
+    previewDiv.appendChild(cropBtn);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.innerHTML = '×';
+    removeBtn.type = 'button';
+    removeBtn.className = 'preview-remove';
+    removeBtn.onclick = function() {
+      removePhoto(index);
+    };
+    previewDiv.appendChild(removeBtn);
+
+    const warning = document.createElement('span');
+    warning.className = 'preview-warning';
+    previewDiv.appendChild(warning);
+    updatePreviewWarning(previewDiv, state.quality[index] || []);
+
+    return previewDiv;
+  }
+
+  /**
+   * Check a newly added photo and warn before it is sent to OCR
+   * The file is matched by identity since the photo may have moved if one was removed meanwhile
+   */
+  async function checkPhotoQuality(imageData, file) {
+    let quality;
+    try {
+      quality = await OCR.checkPhotoQuality(imageData);
+    } catch (err) {
+      // Not being able to check is no reason to stop the user
+      console.error('Photo quality check failed:', err);
+      return;
+    }
+
+    const index = state.uploadedFiles.indexOf(file);
+    if (index === -1) return;
+    state.quality[index] = quality.issues;
+
+    const preview = elements.previewsContainer.querySelector(`[data-index="${index}"]`);
+    if (preview) {
+      updatePreviewWarning(preview, quality.issues);
+    }
+    renderQualityNotes();
+  }
+
+  /**
+   * Mark a thumbnail with its worst quality issue
+   */
+  function updatePreviewWarning(preview, issues) {
+    const warning = preview.querySelector('.preview-warning');
+    preview.classList.toggle('quality-warning', issues.length > 0);
+    if (warning) {
+      warning.textContent = issues.length ? QUALITY_MESSAGES[issues[0]].label : '';
+    }
+  }
+
+  /**
+   * List every photo's quality issues under the thumbnails
+   */
+  function renderQualityNotes() {
+    const lines = [];
+    state.quality.forEach((issues, index) => {
+      if (issues.length) {
+        lines.push('Photo ' + (index + 1) + ': ' + issues.map(issue => QUALITY_MESSAGES[issue].text).join('; '));
+      }
+    });
+
+    elements.qualityNotes.textContent = lines.join('\n');
+    elements.qualityNotes.classList.toggle('hidden', lines.length === 0);
+  }
+
+  /**
+   * Open the crop editor over a photo, showing its current region
+   */
+  function openCropEditor(index, imageData) {
+    state.cropEdit = { index, box: state.crops[index], start: null };
+    elements.cropImage.src = imageData;
+    drawCropBox(state.cropEdit.box);
+    elements.cropOverlay.classList.remove('hidden');
+  }
+
+  /**
+   * Close the crop editor without changing the photo's region
+   */
+  function closeCropEditor() {
+    state.cropEdit = null;
+    elements.cropOverlay.classList.add('hidden');
+  }
+
+  /**
+   * Position of a pointer event as fractions of the displayed photo, clamped to it
+   */
+  function getCropPoint(e) {
+    const rect = elements.cropImage.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    };
+  }
+
+  /**
+   * Start drawing a crop box
+   */
+  function handleCropPointerDown(e) {
+    if (!state.cropEdit) return;
+    e.preventDefault();
+    elements.cropStage.setPointerCapture(e.pointerId);
+    state.cropEdit.start = getCropPoint(e);
+    state.cropEdit.box = null;
+    drawCropBox(null);
+  }
+
+  /**
+   * Stretch the crop box to the pointer
+   */
+  function handleCropPointerMove(e) {
+    if (!state.cropEdit || !state.cropEdit.start) return;
+    const { start } = state.cropEdit;
+    const point = getCropPoint(e);
+    state.cropEdit.box = {
+      x: Math.min(start.x, point.x),
+      y: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y)
+    };
+    drawCropBox(state.cropEdit.box);
+  }
+
+  /**
+   * Finish drawing the crop box
+   */
+  function handleCropPointerUp() {
+    if (state.cropEdit) {
+      state.cropEdit.start = null;
+    }
+  }
+
+  /**
+   * Show a crop box (fractions of the photo) over the photo in the editor
+   */
+  function drawCropBox(box) {
+    if (!box) {
+      elements.cropBox.classList.add('hidden');
+      return;
+    }
+    elements.cropBox.style.left = (box.x * 100) + '%';
+    elements.cropBox.style.top = (box.y * 100) + '%';
+    elements.cropBox.style.width = (box.width * 100) + '%';
+    elements.cropBox.style.height = (box.height * 100) + '%';
+    elements.cropBox.classList.remove('hidden');
+  }
+
+  /**
+   * Keep the drawn region for the photo
+   */
+  function handleCropApply() {
+    const { index, box } = state.cropEdit;
+    if (!box || box.width < MIN_CROP_SIZE || box.height < MIN_CROP_SIZE) {
+      showError('Drag a box around the display or odometer first');
+      return;
+    }
+    setPhotoCrop(index, box);
+  }
+
+  /**
+   * Read the whole photo again
+   */
+  function handleCropClear() {
+    setPhotoCrop(state.cropEdit.index, null);
+  }
+
+  /**
+   * Save a photo's region and mark its thumbnail
+   */
+  function setPhotoCrop(index, box) {
+    state.crops[index] = box;
+    const preview = elements.previewsContainer.querySelector(`[data-index="${index}"]`);
+    if (preview) {
+      preview.classList.toggle('cropped', !!box);
+    }
+    hideError();
+    closeCropEditor();
+  }
+
+  /**
+   * Whether the browser already turns photos upright by their EXIF orientation when decoding them
+   */
+  function browserAppliesOrientation() {
+    return typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+  }
+
+  /**
+   * Cut out the region to read and turn the photo upright, at full resolution
+   * The crop is in the photo as the browser shows it, so it is cut before rotating
+   * @param {string} imageData - Photo data URL
+   * @param {{x, y, width, height}|null} crop - Region as fractions of the photo
+   * @param {number} orientation - EXIF orientation (1 = upright)
+   * @returns {Promise<string>} The photo as is, or a JPEG data URL of the upright region
+   */
+  function preparePhoto(imageData, crop, orientation) {
+    if (!crop && orientation <= 1) {
+      return Promise.resolve(imageData);
+    }
+
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onerror = function() {
+        reject(new Error('Failed to load image for cropping'));
+      };
+      img.onload = function() {
+        const region = crop || { x: 0, y: 0, width: 1, height: 1 };
+        const sx = Math.round(region.x * img.width);
+        const sy = Math.round(region.y * img.height);
+        const sw = Math.max(1, Math.round(region.width * img.width));
+        const sh = Math.max(1, Math.round(region.height * img.height));
+
+        // Re-encoding drops the EXIF orientation, so it is applied here unless the browser did
+        const upright = Exif.getTransform(browserAppliesOrientation() ? 1 : orientation, sw, sh);
+        const canvas = document.createElement('canvas');
+        canvas.width = upright.width;
+        canvas.height = upright.height;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(...upright.matrix);
+        ctx.drawImage(img, sx, sy, sw, sh, 0, 0, sw, sh);
+        resolve(canvas.toDataURL('image/jpeg', 0.92));
+      };
+      img.src = imageData;
+    });
+  }
+
   /**
    * Remove a specific photo by index
    */
   function removePhoto(index) {
     state.uploadedFiles = state.uploadedFiles.filter((_, i) => i !== index);
+    state.crops = state.crops.filter((_, i) => i !== index);
+    state.quality = state.quality.filter((_, i) => i !== index);
+    state.metadata = state.metadata.filter((_, i) => i !== index);
+    renderQualityNotes();
 
     // Clear file input
     elements.photosFile.value = '';
@@ -313,25 +795,7 @@ const App = (function() {
     state.uploadedFiles.forEach((file, newIndex) => {
       const reader = new FileReader();
       reader.onload = function(event) {
-        // Create preview element with CSS classes
-        const previewDiv = document.createElement('div');
-        previewDiv.className = 'preview-container';
-
-        const img = document.createElement('img');
-        img.src = event.target.result;
-        img.className = 'preview';
-        previewDiv.appendChild(img);
-
-        const removeBtn = document.createElement('button');
-        removeBtn.innerHTML = '×';
-        removeBtn.type = 'button';
-        removeBtn.className = 'preview-remove';
-        removeBtn.onclick = function() {
-          removePhoto(newIndex);
-        };
-        previewDiv.appendChild(removeBtn);
-
-        elements.previewsContainer.appendChild(previewDiv);
+        elements.previewsContainer.appendChild(createPreview(event.target.result, newIndex));
 
         loadedCount++;
         if (loadedCount === state.uploadedFiles.length) {
@@ -383,7 +847,10 @@ const App = (function() {
 
           reader.onload = async (event) => {
             try {
-              const ocrResult = await OCR.extractText(event.target.result, true);
+              // Only the region the user picked is preprocessed and read, upright
+              const photo = await preparePhoto(event.target.result, state.crops[i], state.metadata[i].orientation);
+              // Read, classified, then routed by type (an odometer also goes to Tesseract)
+              const ocrResult = await OCR.extractTextByType(photo);
               clearTimeout(timeoutId);
               resolve(ocrResult);
             } catch (err) {
@@ -462,94 +929,326 @@ const App = (function() {
   }
 
   /**
-   * Detect which photo is pump vs odometer and parse data
+   * Classify each photo and parse it as the type it was assigned
+   * Keeps the classifications in state so the review screen can swap them
    */
   function detectAndParseData(ocrResults) {
-    let pumpData = { gallons: { value: null, confidence: 0 }, pricePerGallon: { value: null, confidence: 0 }, total: { value: null, confidence: 0 } };
-    let odometerData = { miles: { value: null, confidence: 0 } };
-
-    // Try each result and extract what we can
-    for (let i = 0; i < ocrResults.length; i++) {
-      const result = ocrResults[i];
-      const text = result.text.toLowerCase();
-
-      console.log('Photo ' + (i + 1) + ' contains:', text.substring(0, 100));
+    const classifications = ocrResults.map(result => OCR.classifyPhoto(result));
+    classifications.forEach((c, i) => {
+      console.log('Photo ' + (i + 1) + ' classified as ' + c.type + ' (' + c.confidence + '%): ' + c.reason, c.scores);
+    });
 
-      // Check for pump indicators
-      const hasGallons = text.includes('gallon') || text.includes('gal');
-      const hasSale = text.includes('sale') || text.includes('$') || text.includes('price');
-      const hasOdometer = text.includes('odometer') || text.includes('odo') || /\b\d{5,6}\b/.test(text);
+    const { pumpIndex, odometerIndex } = OCR.assignPhotos(classifications);
+    state.photoAssignment = { classifications, pumpIndex, odometerIndex };
 
-      console.log('Photo ' + (i + 1) + ' - Gallons:', hasGallons, 'Sale:', hasSale, 'Odometer:', hasOdometer);
+    return getAssignedData(state.photoAssignment);
+  }
 
-      if (hasGallons || hasSale) {
-        // This is likely the pump
-        const parsed = OCR.parsePumpData(result);
-        if (parsed.gallons.value) {
-          pumpData = parsed;
-          console.log('Photo ' + (i + 1) + ' identified as PUMP');
-        }
-      }
+  /**
+   * Pump and odometer data for an assignment of photos to roles
+   * A receipt stands in for the pump photo, and lends its grade to a pump photo that shows none
+   */
+  function getAssignedData(assignment) {
+    const { classifications, pumpIndex, odometerIndex } = assignment;
+
+    let pumpData = {
+      gallons: { value: null, confidence: 0 },
+      pricePerGallon: { value: null, confidence: 0 },
+      total: { value: null, confidence: 0 }
+    };
+    let odometerData = { miles: { value: null, confidence: 0 }, trip: { value: null, confidence: 0 } };
+
+    if (pumpIndex >= 0) {
+      const c = classifications[pumpIndex];
+      // A copy: the grade set below or edited in review must not change the photo's own reading
+      pumpData = Object.assign({}, c.scores.receipt > c.scores.pump ? c.parsed.receipt : c.parsed.pump);
+    }
+    if (odometerIndex >= 0) {
+      odometerData = classifications[odometerIndex].parsed.odometer;
+    }
 
-      if (hasOdometer) {
-        // This is likely the odometer
-        const parsed = OCR.parseOdometerData(result);
-        if (parsed.miles.value) {
-          odometerData = parsed;
-          console.log('Photo ' + (i + 1) + ' identified as ODOMETER');
-        }
-      }
+    const receipt = classifications.find((c, i) => i !== pumpIndex && c.type === 'receipt');
+    if (receipt && pumpData.grade && !pumpData.grade.value) {
+      // Receipts name the grade more reliably than dispensers
+      pumpData.grade = receipt.parsed.receipt.grade;
     }
 
-    // If detection failed, use fallback: assign first result as pump, second as odometer
-    if (!pumpData.gallons.value && !odometerData.miles.value) {
-      console.log('Auto-detection failed, using fallback assignment');
+    return { pumpData, odometerData };
+  }
 
-      // Parse all results and see what we got
-      const allPumpData = ocrResults.map(r => OCR.parsePumpData(r));
-      const allOdometerData = ocrResults.map(r => OCR.parseOdometerData(r));
+  /**
+   * Swap the pump and odometer photos when the classifier got them the wrong way round
+   */
+  function handleSwapPhotos() {
+    const assignment = state.photoAssignment;
+    if (!assignment) return;
+
+    const { classifications, pumpIndex, odometerIndex } = assignment;
+    const swapped = { classifications, pumpIndex: odometerIndex, odometerIndex: pumpIndex };
+
+    // A role left empty takes the photo that had none
+    const unassigned = classifications.findIndex((_, i) => i !== pumpIndex && i !== odometerIndex);
+    if (unassigned >= 0 && swapped.pumpIndex < 0) {
+      swapped.pumpIndex = unassigned;
+    } else if (unassigned >= 0 && swapped.odometerIndex < 0) {
+      swapped.odometerIndex = unassigned;
+    }
 
-      // Find the best pump data (has gallons)
-      for (const data of allPumpData) {
-        if (data.gallons.value) {
-          pumpData = data;
-          break;
-        }
-      }
+    state.photoAssignment = swapped;
+    const { pumpData, odometerData } = getAssignedData(swapped);
+    state.extractedData = { pump: pumpData, odometer: odometerData };
+    populateReviewForm(pumpData, odometerData);
+  }
 
-      // Find the best odometer data (has miles)
-      for (const data of allOdometerData) {
-        if (data.miles.value) {
-          odometerData = data;
-          break;
-        }
-      }
+  /**
+   * Describe why a photo was given a role ("Photo 1 · pump 82%: volume × price matches total")
+   */
+  function getPhotoNote(index) {
+    const assignment = state.photoAssignment;
+    if (!assignment || index < 0) {
+      return { kind: 'info', text: 'No photo assigned' };
     }
 
-    return { pumpData, odometerData };
+    const c = assignment.classifications[index];
+    const text = 'Photo ' + (index + 1) + ' · ' + c.type + ' ' + c.confidence + '%' + (c.reason ? ': ' + c.reason : '');
+    return { kind: c.confidence < 50 ? 'repaired' : 'info', text };
   }
 
   /**
    * Populate the review form with extracted data
    */
   function populateReviewForm(pumpData, odometerData) {
+    updateUnitLabels(pumpData.unitSystem || OCR.getUnitSystem(),
+                     odometerData.distanceUnit || OCR.getUnits().distance.unit,
+                     pumpData.currency);
+
     // Populate pump data fields (rounded to 3 decimals)
-    elements.gallons.value = pumpData.gallons.value ? parseFloat(pumpData.gallons.value.toFixed(3)) : '';
-    elements.price.value = pumpData.pricePerGallon.value ? pumpData.pricePerGallon.value.toFixed(3) : '';
+    elements.gallons.value = pumpData.gallons.value ? formatGallons(pumpData.gallons.value) : '';
+    elements.price.value = pumpData.pricePerGallon.value ? formatPrice(pumpData.pricePerGallon.value) : '';
     elements.total.value = pumpData.total.value || '';
+    elements.grade.value = (pumpData.grade && pumpData.grade.value) || '';
 
     // Populate odometer field
     elements.miles.value = odometerData.miles.value || '';
 
+    // Offer the other plausible readings as one-tap alternatives
+    renderCandidateChips(elements.gallonsCandidates, elements.gallons, pumpData.gallons.candidates, formatGallons);
+    renderCandidateChips(elements.priceCandidates, elements.price, pumpData.pricePerGallon.candidates, formatPrice);
+    renderCandidateChips(elements.totalCandidates, elements.total, pumpData.total.candidates, String);
+    renderCandidateChips(elements.milesCandidates, elements.miles, odometerData.miles.candidates, String);
+
     // Update confidence displays for individual fields
     updateConfidenceDisplay(elements.gallonsConfidence, pumpData.gallons.confidence);
     updateConfidenceDisplay(elements.priceConfidence, pumpData.pricePerGallon.confidence);
     updateConfidenceDisplay(elements.totalConfidence, pumpData.total.confidence);
     updateConfidenceDisplay(elements.milesConfidence, odometerData.miles.confidence);
+    updateConfidenceDisplay(elements.gradeConfidence, pumpData.grade ? pumpData.grade.confidence : 0);
+
+    // Which photo each section was read from, and why
+    const assignment = state.photoAssignment;
+    if (assignment) {
+      const pumpNote = getPhotoNote(assignment.pumpIndex);
+      const receiptNote = getReceiptNote(pumpData);
+      updateFieldNote(elements.pumpSource, receiptNote
+        ? { kind: pumpNote.kind, text: pumpNote.text + '. ' + receiptNote.text }
+        : pumpNote);
+      updateFieldNote(elements.odometerSource, getPhotoNote(assignment.odometerIndex));
+    }
+    elements.swapPhotosBtn.classList.toggle('hidden', !assignment);
+
+    // Explain values the parser repaired or calculated
+    updateFieldNote(elements.gallonsNote, pumpData.gallons.note);
+    updateFieldNote(elements.priceNote, pumpData.pricePerGallon.note);
+    updateFieldNote(elements.totalNote, pumpData.total.note);
+    updateFieldNote(elements.milesNote, odometerData.miles.note || getTripNote(odometerData));
+
+    // Update section confidence indicators (receipt details and the trip meter are extras)
+    updateSectionConfidence(elements.pumpConfidence, {
+      gallons: pumpData.gallons,
+      pricePerGallon: pumpData.pricePerGallon,
+      total: pumpData.total
+    });
+    updateSectionConfidence(elements.odometerConfidence, { miles: odometerData.miles });
+
+    // When and where the fill-up was, from the photos' metadata
+    const fillUp = getFillUp(pumpData);
+    elements.fillupDate.value = fillUp.date;
+    updateFieldNote(elements.fillupDateNote, fillUp.note);
+    updateFieldNote(elements.fillupLocation, fillUp.location && {
+      kind: 'info',
+      text: 'Location ' + fillUp.location.latitude + ', ' + fillUp.location.longitude
+    });
+  }
+
+  /**
+   * Fill-up date and location: the pump photo's capture time, then the odometer photo's,
+   * then the receipt's printed date, then today. Location comes from the first photo that has one
+   * @returns {{date: string, note: {kind, text}, location: {latitude, longitude}|null}}
+   */
+  function getFillUp(pumpData) {
+    const assignment = state.photoAssignment;
+    const roles = assignment ? [assignment.pumpIndex, assignment.odometerIndex] : [];
+    const order = [...roles, ...state.metadata.map((_, i) => i)]
+      .filter((index, i, all) => index >= 0 && all.indexOf(index) === i && state.metadata[index]);
+
+    const dated = order.find(index => state.metadata[index].dateTime);
+    const located = order.find(index => state.metadata[index].location);
+    const location = located !== undefined ? state.metadata[located].location : null;
+
+    if (dated !== undefined) {
+      const dateTime = state.metadata[dated].dateTime;
+      return {
+        date: dateTime.slice(0, 10),
+        note: { kind: 'info', text: 'Photo ' + (dated + 1) + ' taken ' + dateTime.replace('T', ' ') },
+        location
+      };
+    }
+
+    const receiptDate = pumpData.dateTime && pumpData.dateTime.value;
+    if (receiptDate) {
+      return { date: receiptDate.slice(0, 10), note: { kind: 'info', text: 'Date printed on the receipt' }, location };
+    }
+
+    const now = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    return {
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      note: { kind: 'repaired', text: 'The photos have no date; check the fill-up was today' },
+      location
+    };
+  }
 
-    // Update section confidence indicators
-    updateSectionConfidence(elements.pumpConfidence, pumpData);
-    updateSectionConfidence(elements.odometerConfidence, odometerData);
+  /**
+   * Format a volume for its input (up to 3 decimals, no trailing zeros)
+   */
+  function formatGallons(value) {
+    return String(parseFloat(value.toFixed(3)));
+  }
+
+  /**
+   * Format a price for its input (always 3 decimals)
+   */
+  function formatPrice(value) {
+    return value.toFixed(3);
+  }
+
+  /**
+   * Show a field's ranked alternatives as chips; tapping one fills the input
+   * Nothing is shown when the parser found only one reading
+   */
+  function renderCandidateChips(container, input, candidates, format) {
+    container.innerHTML = '';
+    if (!candidates || candidates.length < 2) return;
+
+    const chips = candidates.map(candidate => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'candidate-chip';
+      chip.textContent = format(candidate.value);
+      chip.title = candidate.source.text
+        ? 'Read as "' + candidate.source.text + '" (' + candidate.source.rule + ')'
+        : candidate.source.rule;
+      chip.addEventListener('click', function() {
+        input.value = chip.textContent;
+        updateSelectedChip();
+      });
+      container.appendChild(chip);
+      return chip;
+    });
+
+    function updateSelectedChip() {
+      for (const chip of chips) {
+        const selected = parseFloat(chip.textContent) === parseFloat(input.value);
+        chip.classList.toggle('selected', selected);
+        chip.setAttribute('aria-pressed', selected ? 'true' : 'false');
+      }
+    }
+
+    // Replaces the handler from the previous photos rather than adding another
+    input.oninput = updateSelectedChip;
+    updateSelectedChip();
+  }
+
+  /**
+   * Label the review fields in the units and currency the photos were read in
+   */
+  function updateUnitLabels(unitSystem, distanceUnit, currency) {
+    const units = OCR.getUnits(unitSystem);
+    const symbol = OCR.getCurrencySymbol(currency);
+    elements.gallonsLabel.textContent = units.volume.label;
+    elements.priceLabel.textContent = units.price.label + ' (' + symbol + ')';
+    elements.totalLabel.textContent = 'Total (' + symbol + ')';
+    elements.milesLabel.textContent = distanceUnit === 'km' ? 'Kilometres' : 'Miles';
+  }
+
+  /**
+   * Convert a reading to the Fuelly account's units
+   * @param {object} reading - {distance, price, volume, unitSystem, distanceUnit}
+   * @param {string} accountUnits - 'us' or 'metric'
+   */
+  function convertForFuelly(reading, accountUnits) {
+    let { distance, price, volume } = reading;
+
+    const accountDistanceUnit = accountUnits === 'metric' ? 'km' : 'mi';
+    if (reading.distanceUnit !== accountDistanceUnit) {
+      distance = Math.round(accountDistanceUnit === 'mi' ? distance / KM_PER_MILE : distance * KM_PER_MILE);
+    }
+
+    if (reading.unitSystem !== accountUnits) {
+      const factor = accountUnits === 'us' ? 1 / LITRES_PER_GALLON : LITRES_PER_GALLON;
+      volume = volume * factor;
+      price = price / factor;
+    }
+
+    return { distance, price, volume };
+  }
+
+  /**
+   * Describe the receipt the pump data was read from (station and date)
+   */
+  function getReceiptNote(pumpData) {
+    if (pumpData.source !== 'receipt') return null;
+
+    const details = [pumpData.station.value, pumpData.dateTime.value && pumpData.dateTime.value.replace('T', ' ')]
+      .filter(Boolean);
+    return { kind: 'info', text: 'From receipt' + (details.length ? ': ' + details.join(', ') : '') };
+  }
+
+  /**
+   * Describe the trip meter, checked against the odometer sent with the last fill-up
+   */
+  function getTripNote(odometerData) {
+    const trip = odometerData.trip;
+    if (!trip || !trip.value) return null;
+
+    const unit = odometerData.distanceUnit || OCR.getUnits().distance.unit;
+    const text = 'Trip meter shows ' + trip.value + ' ' + unit;
+
+    const last = FillUpHistory.getLastOdometer(localStorage);
+    if (last && last.distanceUnit === unit && odometerData.miles.value > last.value) {
+      const driven = odometerData.miles.value - last.value;
+      if (Math.abs(driven - trip.value) > Math.max(2, trip.value * 0.05)) {
+        return { kind: 'conflict', text: text + ', but the odometer moved ' + driven + ' ' + unit + ' since the last fill-up' };
+      }
+    }
+
+    return { kind: 'info', text };
+  }
+
+  /**
+   * Show or hide the note under a field (why a value was repaired or calculated)
+   */
+  function updateFieldNote(element, note) {
+    element.classList.remove('repaired', 'computed', 'conflict', 'info');
+
+    if (note) {
+      element.textContent = note.text;
+      element.classList.add(note.kind);
+      element.classList.remove('hidden');
+    } else {
+      element.textContent = '';
+      element.classList.add('hidden');
+    }
   }
 
   /**
@@ -573,7 +1272,9 @@ const App = (function() {
     element.classList.remove('high', 'medium', 'low');
 
     // Calculate average confidence from all fields
-    const confidences = Object.values(data).map(field => field.confidence || 0);
+    const confidences = Object.values(data)
+      .filter(field => field && 'value' in field)
+      .map(field => field.confidence || 0);
     const avgConfidence = confidences.reduce((a, b) => a + b, 0) / confidences.length;
 
     if (avgConfidence > 0) {
@@ -615,41 +1316,114 @@ const App = (function() {
       return;
     }
 
+    // Convert to the Fuelly account's units if the photos were read in others
+    const extracted = state.extractedData || {};
+    const converted = convertForFuelly({
+      distance: milesNum,
+      price: priceNum,
+      volume: gallonsNum,
+      unitSystem: (extracted.pump && extracted.pump.unitSystem) || OCR.getUnitSystem(),
+      distanceUnit: (extracted.odometer && extracted.odometer.distanceUnit) || OCR.getUnits().distance.unit
+    }, getFuellyUnits());
+
     // Format SMS body: [miles] [price] [gallons] - round to 3 decimals
-    const smsBody = `${miles} ${parseFloat(priceNum.toFixed(3))} ${parseFloat(gallonsNum.toFixed(3))}`;
+    const distance = converted.distance === milesNum ? miles : converted.distance;
+    const smsBody = `${distance} ${parseFloat(converted.price.toFixed(3))} ${parseFloat(converted.volume.toFixed(3))}`;
     const smsUrl = `sms:503-512-9929&body=${encodeURIComponent(smsBody)}`;
 
+    // Kept for the history export and the next fill-up's trip meter check
+    // (with the total, grade, date and location, which the SMS has no room for)
+    const total = parseFloat(elements.total.value);
+    FillUpHistory.add(localStorage, {
+      date: elements.fillupDate.value || null,
+      odometer: milesNum,
+      distanceUnit: (extracted.odometer && extracted.odometer.distanceUnit) || OCR.getUnits().distance.unit,
+      volume: gallonsNum,
+      unitSystem: (extracted.pump && extracted.pump.unitSystem) || OCR.getUnitSystem(),
+      price: priceNum,
+      total: isNaN(total) ? null : total,
+      currency: (extracted.pump && extracted.pump.currency) || null,
+      grade: elements.grade.value || null,
+      location: extracted.pump ? getFillUp(extracted.pump).location : null
+    });
+
     // Open SMS link
     window.location.href = smsUrl;
   }
 
+  /**
+   * Download the fill-ups sent so far as CSV
+   */
+  function handleExportHistory() {
+    const entries = FillUpHistory.load(localStorage);
+    if (entries.length === 0) {
+      showError('No fill-ups sent yet');
+      return;
+    }
+
+    const blob = new Blob([FillUpHistory.toCsv(entries)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'fuelly-history.csv';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
   /**
    * Handle back button - return to capture view
    */
   function handleBack() {
     // Clear state
     state.uploadedFiles = [];
+    state.crops = [];
+    state.quality = [];
+    state.metadata = [];
     state.extractedData = null;
+    state.photoAssignment = null;
 
     // Reset photo input
     elements.photosFile.value = '';
     elements.previewsContainer.innerHTML = '';
     elements.extractBtn.disabled = true;
+    renderQualityNotes();
 
     // Clear form fields
     elements.gallons.value = '';
     elements.price.value = '';
     elements.total.value = '';
     elements.miles.value = '';
+    elements.grade.value = '';
+    elements.fillupDate.value = '';
 
     // Reset confidence displays
     elements.gallonsConfidence.classList.remove('high', 'medium', 'low');
     elements.priceConfidence.classList.remove('high', 'medium', 'low');
     elements.totalConfidence.classList.remove('high', 'medium', 'low');
     elements.milesConfidence.classList.remove('high', 'medium', 'low');
+    elements.gradeConfidence.classList.remove('high', 'medium', 'low');
     elements.pumpConfidence.classList.remove('high', 'medium', 'low');
     elements.odometerConfidence.classList.remove('high', 'medium', 'low');
 
+    // Reset field notes
+    updateFieldNote(elements.gallonsNote, null);
+    updateFieldNote(elements.priceNote, null);
+    updateFieldNote(elements.totalNote, null);
+    updateFieldNote(elements.milesNote, null);
+    updateFieldNote(elements.pumpSource, null);
+    updateFieldNote(elements.odometerSource, null);
+    updateFieldNote(elements.fillupDateNote, null);
+    updateFieldNote(elements.fillupLocation, null);
+    elements.swapPhotosBtn.classList.add('hidden');
+
+    // Clear alternative readings
+    elements.gallonsCandidates.innerHTML = '';
+    elements.priceCandidates.innerHTML = '';
+    elements.totalCandidates.innerHTML = '';
+    elements.milesCandidates.innerHTML = '';
+
+    // Reset unit labels to the current setting
+    updateUnitLabels(OCR.getUnitSystem(), OCR.getUnits().distance.unit);
+
     // Reset counter slots
     if (elements.counterSlot1) elements.counterSlot1.classList.remove('active');
     if (elements.counterSlot2) elements.counterSlot2.classList.remove('active');
@@ -0,0 +1,374 @@
+/**
+ * Photo metadata from JPEG and HEIC files: orientation, capture time and GPS position
+ * Parses the EXIF (TIFF) block directly; no DOM, so it can be tested in Node
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Exif = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // TIFF tags
+  const TAG_ORIENTATION = 0x0112;
+  const TAG_DATE_TIME = 0x0132;
+  const TAG_EXIF_IFD = 0x8769;
+  const TAG_GPS_IFD = 0x8825;
+  const TAG_DATE_TIME_ORIGINAL = 0x9003;
+  const TAG_DATE_TIME_DIGITIZED = 0x9004;
+  const TAG_GPS_LATITUDE_REF = 0x0001;
+  const TAG_GPS_LATITUDE = 0x0002;
+  const TAG_GPS_LONGITUDE_REF = 0x0003;
+  const TAG_GPS_LONGITUDE = 0x0004;
+
+  // Bytes per value for each TIFF field type
+  const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+  /**
+   * Metadata for a photo that has none (or none we could read)
+   */
+  function emptyMetadata() {
+    return { orientation: 1, dateTime: null, location: null };
+  }
+
+  /**
+   * Read the metadata of a JPEG or HEIC photo
+   * @param {ArrayBuffer} buffer - The photo file
+   * @returns {{orientation: number, dateTime: string|null, location: {latitude, longitude}|null}}
+   *   dateTime is local capture time as 'YYYY-MM-DDTHH:MM' (the receipt parser's format)
+   */
+  function read(buffer) {
+    try {
+      const view = new DataView(buffer);
+      const tiffStart = view.getUint16(0) === 0xFFD8 ? findJpegTiff(view) : findHeicTiff(view);
+      return tiffStart === -1 ? emptyMetadata() : readTiff(view, tiffStart);
+    } catch (err) {
+      // Truncated or malformed metadata is treated as missing
+      return emptyMetadata();
+    }
+  }
+
+  /**
+   * Read the metadata of a photo file, or empty metadata if it can't be read
+   * @param {Blob} file
+   * @returns {Promise<object>} See read()
+   */
+  async function readFile(file) {
+    try {
+      return read(await file.arrayBuffer());
+    } catch (err) {
+      return emptyMetadata();
+    }
+  }
+
+  /**
+   * Find the TIFF header inside a JPEG's APP1 "Exif" segment (-1 if there is none)
+   */
+  function findJpegTiff(view) {
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      // Metadata segments all come before the image data
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+      const length = view.getUint16(offset + 2);
+      if (marker === 0xFFE1 && readAscii(view, offset + 4, 4) === 'Exif') {
+        return offset + 10;
+      }
+      offset += 2 + length;
+    }
+    return -1;
+  }
+
+  /**
+   * Find the TIFF header of a HEIC's Exif item (-1 if there is none)
+   * The item is listed in the meta box's iinf and located by its iloc
+   */
+  function findHeicTiff(view) {
+    if (readAscii(view, 4, 4) !== 'ftyp') return -1;
+
+    const meta = findBox(view, 0, view.byteLength, 'meta');
+    if (!meta) return -1;
+    // meta is a full box: version and flags come before its children
+    const iinf = findBox(view, meta.start + 4, meta.end, 'iinf');
+    const iloc = findBox(view, meta.start + 4, meta.end, 'iloc');
+    if (!iinf || !iloc) return -1;
+
+    const itemId = findExifItemId(view, iinf);
+    if (itemId === null) return -1;
+    const itemStart = findItemOffset(view, iloc, itemId);
+    if (itemStart === null) return -1;
+
+    // The item starts with the offset from its header ("Exif\0\0") to the TIFF header
+    return itemStart + 4 + view.getUint32(itemStart);
+  }
+
+  /**
+   * Find the first box of a type between two offsets
+   * @returns {{start, end}|null} Where the box's contents start and end
+   */
+  function findBox(view, start, end, type) {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = view.getUint32(offset);
+      let header = 8;
+      if (size === 1) {
+        size = view.getUint32(offset + 8) * 0x100000000 + view.getUint32(offset + 12);
+        header = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < header) return null;
+
+      if (readAscii(view, offset + 4, 4) === type) {
+        return { start: offset + header, end: Math.min(offset + size, end) };
+      }
+      offset += size;
+    }
+    return null;
+  }
+
+  /**
+   * The item ID of the Exif item in an iinf box, or null
+   */
+  function findExifItemId(view, iinf) {
+    const version = view.getUint8(iinf.start);
+    let offset = iinf.start + 4 + (version === 0 ? 2 : 4);
+
+    while (offset + 8 <= iinf.end) {
+      const infe = findBox(view, offset, iinf.end, 'infe');
+      if (!infe) return null;
+
+      // Only infe versions 2 and 3 have an item type
+      const infeVersion = view.getUint8(infe.start);
+      if (infeVersion >= 2) {
+        const idSize = infeVersion === 2 ? 2 : 4;
+        const itemId = idSize === 2 ? view.getUint16(infe.start + 4) : view.getUint32(infe.start + 4);
+        if (readAscii(view, infe.start + 4 + idSize + 2, 4) === 'Exif') {
+          return itemId;
+        }
+      }
+      offset = infe.end;
+    }
+    return null;
+  }
+
+  /**
+   * File offset of an item's first extent from an iloc box, or null
+   */
+  function findItemOffset(view, iloc, itemId) {
+    const version = view.getUint8(iloc.start);
+    let offset = iloc.start + 4;
+    const sizes = view.getUint16(offset);
+    offset += 2;
+    const offsetSize = sizes >> 12;
+    const lengthSize = (sizes >> 8) & 0xF;
+    const baseOffsetSize = (sizes >> 4) & 0xF;
+    const indexSize = version >= 1 ? sizes & 0xF : 0;
+
+    const itemCount = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+    offset += version < 2 ? 2 : 4;
+
+    for (let i = 0; i < itemCount; i++) {
+      const id = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+      offset += version < 2 ? 2 : 4;
+      let constructionMethod = 0;
+      if (version >= 1) {
+        constructionMethod = view.getUint16(offset) & 0xF;
+        offset += 2;
+      }
+      offset += 2; // data reference index
+      const baseOffset = readUint(view, offset, baseOffsetSize);
+      offset += baseOffsetSize;
+      const extentCount = view.getUint16(offset);
+      offset += 2;
+
+      for (let e = 0; e < extentCount; e++) {
+        offset += indexSize;
+        const extentOffset = readUint(view, offset, offsetSize);
+        offset += offsetSize + lengthSize;
+        // Only items stored in the file itself (not in idat or other items) are read
+        if (id === itemId && e === 0) {
+          return constructionMethod === 0 ? baseOffset + extentOffset : null;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the tags we use from a TIFF block
+   */
+  function readTiff(view, tiffStart) {
+    const byteOrder = readAscii(view, tiffStart, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return emptyMetadata();
+    const tiff = { view, start: tiffStart, little: byteOrder === 'II' };
+    if (getUint16(tiff, 2) !== 42) return emptyMetadata();
+
+    const ifd0 = readIfd(tiff, getUint32(tiff, 4));
+    const exifIfd = ifd0[TAG_EXIF_IFD] ? readIfd(tiff, ifd0[TAG_EXIF_IFD][0]) : {};
+    const gpsIfd = ifd0[TAG_GPS_IFD] ? readIfd(tiff, ifd0[TAG_GPS_IFD][0]) : {};
+
+    const orientation = ifd0[TAG_ORIENTATION] ? ifd0[TAG_ORIENTATION][0] : 1;
+    return {
+      orientation: orientation >= 1 && orientation <= 8 ? orientation : 1,
+      dateTime: parseDateTime(exifIfd[TAG_DATE_TIME_ORIGINAL]) ||
+        parseDateTime(exifIfd[TAG_DATE_TIME_DIGITIZED]) ||
+        parseDateTime(ifd0[TAG_DATE_TIME]),
+      location: parseLocation(gpsIfd)
+    };
+  }
+
+  /**
+   * Read the entries of an IFD
+   * @returns {Object<number, Array|string>} Tag -> values (a string for ASCII fields)
+   */
+  function readIfd(tiff, ifdOffset) {
+    const entries = {};
+    const count = getUint16(tiff, ifdOffset);
+
+    for (let i = 0; i < count; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      const tag = getUint16(tiff, entry);
+      const type = getUint16(tiff, entry + 2);
+      const valueCount = getUint32(tiff, entry + 4);
+      const size = TYPE_SIZES[type];
+      if (!size) continue;
+
+      // Values that fit in 4 bytes are stored in the entry itself
+      const valueOffset = size * valueCount <= 4 ? entry + 8 : getUint32(tiff, entry + 8);
+      entries[tag] = readValues(tiff, type, valueOffset, valueCount);
+    }
+    return entries;
+  }
+
+  /**
+   * Read the values of one IFD entry
+   */
+  function readValues(tiff, type, offset, count) {
+    if (type === 2) {
+      return readAscii(tiff.view, tiff.start + offset, count).replace(/\0+$/, '');
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const at = offset + i * TYPE_SIZES[type];
+      if (type === 3) {
+        values.push(getUint16(tiff, at));
+      } else if (type === 4) {
+        values.push(getUint32(tiff, at));
+      } else if (type === 9) {
+        values.push(tiff.view.getInt32(tiff.start + at, tiff.little));
+      } else if (type === 5 || type === 10) {
+        const read = type === 5 ? 'getUint32' : 'getInt32';
+        const denominator = tiff.view[read](tiff.start + at + 4, tiff.little);
+        values.push(denominator ? tiff.view[read](tiff.start + at, tiff.little) / denominator : 0);
+      } else {
+        values.push(tiff.view.getUint8(tiff.start + at));
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Turn an EXIF date ("2024:03:14 14:32:05") into 'YYYY-MM-DDTHH:MM'
+   */
+  function parseDateTime(value) {
+    const match = typeof value === 'string' &&
+      value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2})/);
+    // Cameras without a clock write zeros
+    if (!match || match[1] === '0000') return null;
+    return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}`;
+  }
+
+  /**
+   * Decimal degrees from the GPS IFD, or null without a position
+   */
+  function parseLocation(gpsIfd) {
+    const latitude = toDegrees(gpsIfd[TAG_GPS_LATITUDE], gpsIfd[TAG_GPS_LATITUDE_REF], 'S');
+    const longitude = toDegrees(gpsIfd[TAG_GPS_LONGITUDE], gpsIfd[TAG_GPS_LONGITUDE_REF], 'W');
+    if (latitude === null || longitude === null) return null;
+    // Null Island is what some apps write when they had no fix
+    if (latitude === 0 && longitude === 0) return null;
+    return { latitude, longitude };
+  }
+
+  /**
+   * Degrees, minutes and seconds to decimal degrees (6 places, about 10 cm)
+   */
+  function toDegrees(dms, ref, negativeRef) {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    const sign = typeof ref === 'string' && ref.toUpperCase() === negativeRef ? -1 : 1;
+    return Math.round(sign * degrees * 1e6) / 1e6;
+  }
+
+  /**
+   * How to draw a photo so it appears upright, for canvas setTransform()
+   * @param {number} orientation - EXIF orientation (1-8)
+   * @param {number} width - Stored image width
+   * @param {number} height - Stored image height
+   * @returns {{width, height, matrix: number[]}} Upright size and transform
+   */
+  function getTransform(orientation, width, height) {
+    const swapped = orientation >= 5 && orientation <= 8;
+    const matrices = {
+      1: [1, 0, 0, 1, 0, 0],
+      2: [-1, 0, 0, 1, width, 0],
+      3: [-1, 0, 0, -1, width, height],
+      4: [1, 0, 0, -1, 0, height],
+      5: [0, 1, 1, 0, 0, 0],
+      6: [0, 1, -1, 0, height, 0],
+      7: [0, -1, -1, 0, height, width],
+      8: [0, -1, 1, 0, 0, width]
+    };
+    return {
+      width: swapped ? height : width,
+      height: swapped ? width : height,
+      matrix: matrices[orientation] || matrices[1]
+    };
+  }
+
+  /**
+   * Read an unsigned big-endian integer of 0, 4 or 8 bytes (ISOBMFF sizes)
+   */
+  function readUint(view, offset, size) {
+    if (size === 4) return view.getUint32(offset);
+    if (size === 8) return view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4);
+    return 0;
+  }
+
+  /**
+   * Read a 16-bit value in the TIFF block's byte order
+   */
+  function getUint16(tiff, offset) {
+    return tiff.view.getUint16(tiff.start + offset, tiff.little);
+  }
+
+  /**
+   * Read a 32-bit value in the TIFF block's byte order
+   */
+  function getUint32(tiff, offset) {
+    return tiff.view.getUint32(tiff.start + offset, tiff.little);
+  }
+
+  /**
+   * Read bytes as a Latin-1 string
+   */
+  function readAscii(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+      text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+  }
+
+  return {
+    read,
+    readFile,
+    getTransform
+  };
+});
@@ -0,0 +1,114 @@
+/**
+ * HEIC/HEIF decoding for browsers that can't show iPhone photos themselves
+ * The libheif WebAssembly decoder (about 2 MB) is only downloaded the first time it's needed;
+ * the service worker then keeps it for offline use
+ */
+
+const HeicDecoder = (function() {
+  'use strict';
+
+  // Pinned with its hash, and the same version as libheif-js in worker/package.json (the tests)
+  const LIBHEIF_URL = 'https://cdn.jsdelivr.net/npm/libheif-js@1.23.2/libheif-wasm/libheif-bundle.js';
+  const LIBHEIF_INTEGRITY = 'sha384-39BRDvCV5eZ5AgrY3Nr01nkQ/yIWMpfKufwt1PG2rnp3m/0IfzgyMosM0NUb7Pmf';
+
+  const JPEG_QUALITY = 0.92;
+
+  let libheifPromise = null;
+
+  /**
+   * Whether a file's bytes are a HEIF image (Parsers.isHeic, shared with the worker and tests)
+   * @param {ArrayBuffer} buffer - At least the first 12 bytes of the file
+   */
+  function isHeic(buffer) {
+    return Parsers.isHeic(new Uint8Array(buffer));
+  }
+
+  /**
+   * Load the decoder script once and start libheif
+   */
+  function loadLibheif() {
+    if (!libheifPromise) {
+      libheifPromise = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = LIBHEIF_URL;
+        script.integrity = LIBHEIF_INTEGRITY;
+        script.crossOrigin = 'anonymous';
+        script.onload = function() {
+          resolve(libheif());
+        };
+        script.onerror = function() {
+          reject(new Error('Could not load the HEIC decoder. Check your connection or convert the photo to JPEG'));
+        };
+        document.head.appendChild(script);
+      });
+      // A failed download can be retried with the next photo
+      libheifPromise.catch(() => {
+        libheifPromise = null;
+      });
+    }
+    return libheifPromise;
+  }
+
+  /**
+   * Decode the primary image of a HEIC file to RGBA pixels
+   * libheif applies the file's rotation and mirroring, so the pixels are upright
+   * @param {ArrayBuffer} buffer - HEIC file
+   * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>}
+   */
+  async function decode(buffer) {
+    const lib = await loadLibheif();
+    const decoder = new lib.HeifDecoder();
+    const images = decoder.decode(new Uint8Array(buffer));
+    if (!images || images.length === 0) {
+      throw new Error('Could not read the HEIC photo');
+    }
+
+    const image = images[0];
+    const width = image.get_width();
+    const height = image.get_height();
+
+    try {
+      return await new Promise((resolve, reject) => {
+        image.display({ data: new Uint8ClampedArray(width * height * 4), width, height }, displayData => {
+          if (!displayData) {
+            reject(new Error('Could not decode the HEIC photo'));
+            return;
+          }
+          resolve(displayData);
+        });
+      });
+    } finally {
+      images.forEach(img => img.free());
+    }
+  }
+
+  /**
+   * Convert a HEIC file to a JPEG every browser can show and every OCR engine can read
+   * @param {Blob} file - HEIC file
+   * @returns {Promise<Blob>} Upright JPEG (without the original's metadata)
+   */
+  async function toJpeg(file) {
+    const pixels = await decode(await file.arrayBuffer());
+
+    const canvas = document.createElement('canvas');
+    canvas.width = pixels.width;
+    canvas.height = pixels.height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Could not convert the HEIC photo to JPEG'));
+        }
+      }, 'image/jpeg', JPEG_QUALITY);
+    });
+  }
+
+  return {
+    isHeic,
+    decode,
+    toJpeg
+  };
+})();
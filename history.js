@@ -0,0 +1,116 @@
+/**
+ * Fill-up history kept on the device
+ * Every fill-up sent to Fuelly is saved with what the SMS has no room for (total, grade,
+ * date, location) and can be exported as CSV. The last one also checks the next trip meter.
+ * Takes the storage as an argument (localStorage in the app), so Node can test it
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FillUpHistory = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const HISTORY_KEY = 'fuelly_history';
+  const LAST_ODOMETER_KEY = 'fuelly_last_odometer';
+
+  // Oldest fill-ups are dropped past this many
+  const MAX_ENTRIES = 1000;
+
+  // CSV columns: header and how to get the value from an entry
+  const CSV_COLUMNS = [
+    ['date', entry => entry.date],
+    ['odometer', entry => entry.odometer],
+    ['distance_unit', entry => entry.distanceUnit],
+    ['volume', entry => entry.volume],
+    ['unit_system', entry => entry.unitSystem],
+    ['price_per_unit', entry => entry.price],
+    ['total', entry => entry.total],
+    ['currency', entry => entry.currency],
+    ['grade', entry => entry.grade],
+    ['latitude', entry => entry.location && entry.location.latitude],
+    ['longitude', entry => entry.location && entry.location.longitude]
+  ];
+
+  /**
+   * Read a JSON value from storage (fallback when missing or unreadable)
+   */
+  function readJson(storage, key, fallback) {
+    try {
+      const value = JSON.parse(storage.getItem(key));
+      return value === null ? fallback : value;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Saved fill-ups, oldest first
+   * @param {Storage} storage
+   * @returns {Array<object>}
+   */
+  function load(storage) {
+    const entries = readJson(storage, HISTORY_KEY, []);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Save a fill-up to the history and as the last odometer reading
+   * @param {Storage} storage
+   * @param {object} entry - {date, odometer, distanceUnit, volume, unitSystem, price, total,
+   *   currency, grade, location}, volume and price in the photo's units
+   * @returns {Array<object>} The history with the entry
+   */
+  function add(storage, entry) {
+    const entries = load(storage).concat([entry]).slice(-MAX_ENTRIES);
+    storage.setItem(HISTORY_KEY, JSON.stringify(entries));
+    storage.setItem(LAST_ODOMETER_KEY, JSON.stringify({
+      value: entry.odometer,
+      distanceUnit: entry.distanceUnit,
+      date: entry.date,
+      location: entry.location,
+      grade: entry.grade
+    }));
+    return entries;
+  }
+
+  /**
+   * The odometer sent with the last fill-up: {value, distanceUnit, date, location, grade}, or null
+   * @param {Storage} storage
+   */
+  function getLastOdometer(storage) {
+    return readJson(storage, LAST_ODOMETER_KEY, null);
+  }
+
+  /**
+   * Quote a CSV value when it needs it
+   */
+  function csvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  /**
+   * Fill-ups as CSV, one row per fill-up under a header row
+   * @param {Array<object>} entries - From load()
+   * @returns {string}
+   */
+  function toCsv(entries) {
+    const rows = [CSV_COLUMNS.map(([header]) => header)]
+      .concat(entries.map(entry => CSV_COLUMNS.map(([, get]) => csvValue(get(entry)))));
+    return rows.map(row => row.join(',')).join('\r\n') + '\r\n';
+  }
+
+  return {
+    load,
+    add,
+    getLastOdometer,
+    toCsv
+  };
+});
@@ -0,0 +1,733 @@
+/**
+ * Adaptive image filters for OCR preprocessing
+ * Plain loops over ImageData, no DOM: loaded by the page, by preprocess-worker.js and as a
+ * CommonJS module by the Node benchmark (tests/benchmark.js)
+ * Steps are chosen from measured image statistics:
+ * - Glare: blown-out highlights brighter than the display are inpainted from their edges
+ * - Levels: the histogram is stretched between its 1st and 99th percentiles
+ * - Geometry: a tilted display rectangle is rectified (four-corner perspective), otherwise
+ *   text rows are deskewed by rotation
+ * - Threshold: Otsu's threshold sets a soft contrast curve, or a hard black/white cut when
+ *   the histogram is clearly two-peaked (Tesseract only)
+ * - Unsharp mask so decimal points and thin LCD segments stand out
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ImageFilters = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Largest width handed to OCR; bigger photos are scaled down first
+  const MAX_WIDTH = 2000;
+
+  // Skew and the display rectangle are measured on a copy this wide
+  const ANALYSIS_WIDTH = 320;
+
+  // Gray at or above this is a blown-out highlight
+  const GLARE_LEVEL = 250;
+  // Highlights count as glare when they cover this share of the photo and the
+  // display's own bright pixels are at least GLARE_MARGIN darker (lit LCD digits are not glare)
+  const MIN_GLARE_FRACTION = 0.001;
+  const MAX_GLARE_FRACTION = 0.15;
+  const GLARE_MARGIN = 40;
+
+  // Share of pixels clipped at each end when stretching levels
+  const STRETCH_PERCENTILE = 0.01;
+  // Histograms already spanning this much are left alone
+  const MIN_STRETCH_GAIN = 1.1;
+
+  // Skew angles searched (degrees); smaller skews are left alone
+  const MAX_SKEW = 15;
+  const SKEW_STEP = 0.5;
+  const MIN_SKEW = 1;
+
+  // A display rectangle covers at least this share of the photo, fills this much of its
+  // four corners' outline, and is rectified when opposite sides differ by this much
+  const MIN_DISPLAY_AREA = 0.05;
+  const MIN_DISPLAY_FILL = 0.85;
+  const MIN_PERSPECTIVE = 0.04;
+
+  // Otsu separability (between-class over total variance) above which the image is
+  // cut to black and white
+  const MIN_BIMODALITY = 0.8;
+
+  // Unsharp mask strength
+  const SHARPEN_AMOUNT = 0.5;
+
+  // Photo quality check, measured on a copy QUALITY_WIDTH wide: variance of the
+  // Laplacian below MIN_SHARPNESS is blurry, a mean gray outside MIN/MAX_BRIGHTNESS
+  // is badly exposed, glare over MAX_GLARE_AREA of the photo hides digits, and a
+  // short side under MIN_SHORT_SIDE pixels leaves too few pixels per digit.
+  // A dark photo is only too dark when its content is dim as well: a lit cluster at
+  // night is mostly black, but its digits reach MIN_CONTENT_BRIGHTNESS
+  const QUALITY_WIDTH = 640;
+  const MIN_SHARPNESS = 60;
+  const MIN_BRIGHTNESS = 50;
+  const MIN_CONTENT_BRIGHTNESS = 128;
+  const MAX_BRIGHTNESS = 215;
+  const MAX_GLARE_AREA = 0.02;
+  const MIN_SHORT_SIDE = 480;
+
+  /**
+   * Get the size an image is scaled to before filtering
+   */
+  function getTargetSize(width, height) {
+    if (width <= MAX_WIDTH) {
+      return { width, height };
+    }
+    return { width: MAX_WIDTH, height: Math.round(height * MAX_WIDTH / width) };
+  }
+
+  /**
+   * Luminance of RGBA pixels
+   */
+  function toGray(imageData) {
+    const { data } = imageData;
+    const gray = new Uint8ClampedArray(data.length / 4);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+    }
+    return gray;
+  }
+
+  /**
+   * Write grayscale pixels back into RGBA ImageData
+   */
+  function writeGray(imageData, gray) {
+    const { data } = imageData;
+    for (let i = 0; i < gray.length; i++) {
+      data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = gray[i];
+      data[i * 4 + 3] = 255;
+    }
+  }
+
+  /**
+   * Count pixels per gray level
+   */
+  function histogramOf(gray) {
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < gray.length; i++) {
+      histogram[gray[i]]++;
+    }
+    return histogram;
+  }
+
+  /**
+   * Gray level below which a share `p` of the pixels fall
+   */
+  function percentile(histogram, total, p) {
+    let count = 0;
+    for (let level = 0; level < 256; level++) {
+      count += histogram[level];
+      if (count > total * p) return level;
+    }
+    return 255;
+  }
+
+  /**
+   * Otsu's threshold and how cleanly it splits the histogram (0-1)
+   */
+  function otsu(histogram, total) {
+    let sum = 0;
+    let sumSquares = 0;
+    for (let level = 0; level < 256; level++) {
+      sum += level * histogram[level];
+      sumSquares += level * level * histogram[level];
+    }
+    const mean = sum / total;
+    const variance = sumSquares / total - mean * mean;
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = 0;
+    let threshold = 128;
+
+    for (let t = 0; t < 256; t++) {
+      weightBackground += histogram[t];
+      if (weightBackground === 0) continue;
+      const weightForeground = total - weightBackground;
+      if (weightForeground === 0) break;
+
+      sumBackground += t * histogram[t];
+      const meanBackground = sumBackground / weightBackground;
+      const meanForeground = (sum - sumBackground) / weightForeground;
+      const between = weightBackground * weightForeground * Math.pow(meanBackground - meanForeground, 2) / (total * total);
+      if (between > best) {
+        best = between;
+        threshold = t;
+      }
+    }
+
+    return { threshold, separability: variance > 0 ? best / variance : 0 };
+  }
+
+  /**
+   * Statistics the pipeline chooses its steps from
+   */
+  function measure(gray) {
+    const total = gray.length;
+    const histogram = histogramOf(gray);
+    const { threshold, separability } = otsu(histogram, total);
+
+    let dark = 0;
+    for (let level = 0; level <= threshold; level++) dark += histogram[level];
+
+    let glare = 0;
+    for (let level = GLARE_LEVEL; level < 256; level++) glare += histogram[level];
+
+    // Mean of the bright class without the highlights
+    let brightSum = 0;
+    let brightCount = 0;
+    for (let level = threshold + 1; level < GLARE_LEVEL; level++) {
+      brightSum += level * histogram[level];
+      brightCount += histogram[level];
+    }
+
+    return {
+      low: percentile(histogram, total, STRETCH_PERCENTILE),
+      high: percentile(histogram, total, 1 - STRETCH_PERCENTILE),
+      threshold,
+      separability,
+      // Text and segments are the minority class
+      brightForeground: dark > total / 2,
+      glareFraction: glare / total,
+      brightMean: brightCount ? brightSum / brightCount : 255
+    };
+  }
+
+  /**
+   * Fill blown-out highlights from their edges inwards (onion-peel inpainting)
+   * @returns {number} Pixels filled
+   */
+  function suppressGlare(gray, width, height) {
+    const mask = new Uint8Array(gray.length);
+    for (let i = 0; i < gray.length; i++) {
+      if (gray[i] >= GLARE_LEVEL) mask[i] = 1;
+    }
+
+    // Grow the mask by 2 px to take in the halo around each highlight
+    for (let pass = 0; pass < 2; pass++) {
+      const grown = mask.slice();
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          if (mask[i]) continue;
+          if ((x > 0 && mask[i - 1]) || (x < width - 1 && mask[i + 1]) ||
+              (y > 0 && mask[i - width]) || (y < height - 1 && mask[i + width])) {
+            grown[i] = 1;
+          }
+        }
+      }
+      mask.set(grown);
+    }
+
+    let frontier = [];
+    let filled = 0;
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i]) frontier.push(i);
+    }
+
+    while (frontier.length) {
+      const done = [];
+      const values = [];
+      const remaining = [];
+      for (const i of frontier) {
+        const x = i % width;
+        let sum = 0;
+        let count = 0;
+        for (const j of [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width]) {
+          if (j >= 0 && j < mask.length && !mask[j]) {
+            sum += gray[j];
+            count++;
+          }
+        }
+        if (count) {
+          done.push(i);
+          values.push(sum / count);
+        } else {
+          remaining.push(i);
+        }
+      }
+      // Nothing left to fill from: the whole photo is blown out
+      if (done.length === 0) break;
+
+      done.forEach((i, k) => {
+        gray[i] = values[k];
+        mask[i] = 0;
+      });
+      filled += done.length;
+      frontier = remaining;
+    }
+
+    return filled;
+  }
+
+  /**
+   * Map gray levels so `low` becomes black and `high` white
+   */
+  function stretchLevels(gray, low, high) {
+    const scale = 255 / Math.max(1, high - low);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = (gray[i] - low) * scale;
+    }
+  }
+
+  /**
+   * Scale grayscale pixels down to `targetWidth` (box average)
+   */
+  function downsample(gray, width, height, targetWidth) {
+    const scale = Math.max(1, width / targetWidth);
+    const w = Math.max(1, Math.round(width / scale));
+    const h = Math.max(1, Math.round(height / scale));
+    const small = new Uint8ClampedArray(w * h);
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const x0 = Math.floor(x * scale);
+        const y0 = Math.floor(y * scale);
+        const x1 = Math.min(width, Math.max(x0 + 1, Math.floor((x + 1) * scale)));
+        const y1 = Math.min(height, Math.max(y0 + 1, Math.floor((y + 1) * scale)));
+        let sum = 0;
+        for (let sy = y0; sy < y1; sy++) {
+          for (let sx = x0; sx < x1; sx++) {
+            sum += gray[sy * width + sx];
+          }
+        }
+        small[y * w + x] = sum / ((x1 - x0) * (y1 - y0));
+      }
+    }
+
+    return { gray: small, width: w, height: h, scale: width / w };
+  }
+
+  /**
+   * Foreground mask at a threshold (1 = the class that is `bright`)
+   */
+  function maskOf(gray, threshold, bright) {
+    const mask = new Uint8Array(gray.length);
+    for (let i = 0; i < gray.length; i++) {
+      mask[i] = (gray[i] > threshold) === bright ? 1 : 0;
+    }
+    return mask;
+  }
+
+  /**
+   * Find the skew of text rows (degrees, clockwise positive)
+   * Level rows pile foreground into few rows, so the row histogram is sharpest
+   */
+  function estimateSkew(small, stats) {
+    const { gray, width, height } = small;
+    const mask = maskOf(gray, stats.threshold, stats.brightForeground);
+    const points = [];
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i]) points.push(i);
+    }
+    if (points.length === 0) return 0;
+
+    const sharpness = angle => {
+      const radians = angle * Math.PI / 180;
+      const sin = Math.sin(radians);
+      const cos = Math.cos(radians);
+      const offset = width;
+      const rows = new Float64Array(height + 2 * width);
+      for (const i of points) {
+        const x = i % width;
+        const y = (i - x) / width;
+        rows[Math.round(y * cos - x * sin) + offset]++;
+      }
+      return rows.reduce((sum, count) => sum + count * count, 0);
+    };
+
+    let best = 0;
+    let bestSharpness = sharpness(0);
+    for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += SKEW_STEP) {
+      const s = sharpness(angle);
+      if (s > bestSharpness) {
+        bestSharpness = s;
+        best = angle;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Find the four corners of the display: the largest region of either class that
+   * stays inside the frame, its corners taken from the extremes of x + y and x - y
+   * @returns {Array<{x, y}>|null} Top left, top right, bottom right, bottom left (small image coordinates)
+   */
+  function findDisplayQuad(small, stats) {
+    const { gray, width, height } = small;
+    let best = null;
+
+    // Lit displays at night are the bright class, daylight LCDs often the dark one
+    for (const bright of [true, false]) {
+      const mask = maskOf(gray, stats.threshold, bright);
+      const seen = new Uint8Array(mask.length);
+
+      for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || seen[start]) continue;
+        const stack = [start];
+        seen[start] = 1;
+        const region = { area: 0, rows: new Map() };
+        let edges = 0;
+
+        while (stack.length) {
+          const i = stack.pop();
+          const x = i % width;
+          const y = (i - x) / width;
+          region.area++;
+          if (x === 0) edges |= 1;
+          if (x === width - 1) edges |= 2;
+          if (y === 0) edges |= 4;
+          if (y === height - 1) edges |= 8;
+          const row = region.rows.get(y);
+          if (row) {
+            row[0] = Math.min(row[0], x);
+            row[1] = Math.max(row[1], x);
+          } else {
+            region.rows.set(y, [x, x]);
+          }
+          for (const j of [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width]) {
+            if (j >= 0 && j < mask.length && mask[j] && !seen[j]) {
+              seen[j] = 1;
+              stack.push(j);
+            }
+          }
+        }
+
+        // The photo's background runs off the edges; a display sits inside the frame
+        const edgesTouched = [1, 2, 4, 8].filter(bit => edges & bit).length;
+        if (edgesTouched <= 1 && (!best || region.area > best.area)) {
+          best = region;
+        }
+      }
+    }
+
+    if (!best || best.area < MIN_DISPLAY_AREA * gray.length) return null;
+
+    const corners = { tl: null, tr: null, br: null, bl: null };
+    let filledArea = 0;
+    for (const [y, [x0, x1]] of best.rows) {
+      filledArea += x1 - x0 + 1;
+      for (const x of [x0, x1]) {
+        if (!corners.tl || x + y < corners.tl.x + corners.tl.y) corners.tl = { x, y };
+        if (!corners.br || x + y > corners.br.x + corners.br.y) corners.br = { x, y };
+        if (!corners.tr || x - y > corners.tr.x - corners.tr.y) corners.tr = { x, y };
+        if (!corners.bl || x - y < corners.bl.x - corners.bl.y) corners.bl = { x, y };
+      }
+    }
+    const quad = [corners.tl, corners.tr, corners.br, corners.bl];
+
+    // Shoelace area of the outline: a blob that is not four-sided fills it poorly
+    let quadArea = 0;
+    quad.forEach((p, k) => {
+      const q = quad[(k + 1) % 4];
+      quadArea += p.x * q.y - q.x * p.y;
+    });
+    quadArea = Math.abs(quadArea) / 2;
+    if (quadArea === 0 || filledArea / quadArea < MIN_DISPLAY_FILL) return null;
+
+    return quad;
+  }
+
+  /**
+   * Distance between two points
+   */
+  function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  /**
+   * How far a quad is from a rectangle: the larger relative difference between opposite sides
+   */
+  function perspectiveOf(quad) {
+    const [tl, tr, br, bl] = quad;
+    const top = distance(tl, tr);
+    const bottom = distance(bl, br);
+    const left = distance(tl, bl);
+    const right = distance(tr, br);
+    return Math.max(
+      Math.abs(top - bottom) / Math.max(top, bottom),
+      Math.abs(left - right) / Math.max(left, right)
+    );
+  }
+
+  /**
+   * Homography mapping four points `from` onto four points `to`
+   * @returns {number[]} h0-h7 of [[h0 h1 h2] [h3 h4 h5] [h6 h7 1]]
+   */
+  function solveHomography(from, to) {
+    const rows = [];
+    from.forEach((p, k) => {
+      const q = to[k];
+      rows.push([p.x, p.y, 1, 0, 0, 0, -p.x * q.x, -p.y * q.x, q.x]);
+      rows.push([0, 0, 0, p.x, p.y, 1, -p.x * q.y, -p.y * q.y, q.y]);
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < 8; r++) {
+        if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+      }
+      [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+      if (Math.abs(rows[col][col]) < 1e-12) return null;
+      for (let r = 0; r < 8; r++) {
+        if (r === col) continue;
+        const factor = rows[r][col] / rows[col][col];
+        for (let c = col; c < 9; c++) rows[r][c] -= factor * rows[col][c];
+      }
+    }
+    return rows.map((row, r) => row[8] / row[r]);
+  }
+
+  /**
+   * Resample an image through a mapping from output to source coordinates (bilinear)
+   * Pixels mapped from outside the photo take the `fill` gray
+   */
+  function resample(gray, width, height, mapToSource, fill) {
+    const out = new Uint8ClampedArray(gray.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const [sx, sy] = mapToSource(x, y);
+        const x0 = Math.floor(sx);
+        const y0 = Math.floor(sy);
+        if (x0 < 0 || y0 < 0 || x0 >= width - 1 || y0 >= height - 1) {
+          out[y * width + x] = fill;
+          continue;
+        }
+        const fx = sx - x0;
+        const fy = sy - y0;
+        const i = y0 * width + x0;
+        out[y * width + x] =
+          gray[i] * (1 - fx) * (1 - fy) + gray[i + 1] * fx * (1 - fy) +
+          gray[i + width] * (1 - fx) * fy + gray[i + width + 1] * fx * fy;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Rotate about the centre so rows sloping by `angle` degrees come out level
+   */
+  function rotate(gray, width, height, angle, fill) {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const cx = width / 2;
+    const cy = height / 2;
+    return resample(gray, width, height, (x, y) => [
+      cx + (x - cx) * cos - (y - cy) * sin,
+      cy + (x - cx) * sin + (y - cy) * cos
+    ], fill);
+  }
+
+  /**
+   * Rectify the plane of the display: its corners are mapped onto an upright rectangle
+   * of the same centre and average side lengths, and the whole photo follows
+   * (labels printed beside the display stay in view)
+   */
+  function rectify(gray, width, height, quad, fill) {
+    const [tl, tr, br, bl] = quad;
+    const w = (distance(tl, tr) + distance(bl, br)) / 2;
+    const h = (distance(tl, bl) + distance(tr, br)) / 2;
+    const cx = (tl.x + tr.x + br.x + bl.x) / 4;
+    const cy = (tl.y + tr.y + br.y + bl.y) / 4;
+    const rectangle = [
+      { x: cx - w / 2, y: cy - h / 2 }, { x: cx + w / 2, y: cy - h / 2 },
+      { x: cx + w / 2, y: cy + h / 2 }, { x: cx - w / 2, y: cy + h / 2 }
+    ];
+
+    const m = solveHomography(rectangle, quad);
+    if (!m) return null;
+    return resample(gray, width, height, (x, y) => {
+      const d = m[6] * x + m[7] * y + 1;
+      return [(m[0] * x + m[1] * y + m[2]) / d, (m[3] * x + m[4] * y + m[5]) / d];
+    }, fill);
+  }
+
+  /**
+   * S-curve around Otsu's threshold: pushes each class away from the other without
+   * throwing away the gray levels Vision uses
+   */
+  function softThreshold(gray, threshold) {
+    const spread = 24;
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = 255 / (1 + Math.exp(-(gray[i] - threshold) / spread));
+    }
+  }
+
+  /**
+   * Black and white cut; Tesseract wants dark text on light, so lit digits are inverted
+   */
+  function hardThreshold(gray, threshold, invert) {
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = (gray[i] > threshold) !== invert ? 255 : 0;
+    }
+  }
+
+  /**
+   * Sharpen with an unsharp mask (original minus a 5-point blur)
+   */
+  function unsharp(gray, width, height, amount) {
+    const original = gray.slice();
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const blur = (original[i - width] + original[i + width] + original[i - 1] + original[i + 1] + original[i]) / 5;
+        gray[i] = original[i] + (original[i] - blur) * amount;
+      }
+    }
+  }
+
+  /**
+   * Run the adaptive pipeline over ImageData in place
+   * @param {ImageData} imageData - Pixels to filter (any {data, width, height})
+   * @param {string} pipeline - 'ocr' (Vision and the seven-segment decoder) or 'tesseract'
+   * @param {function} [onProgress] - Called with 0-100 as steps finish
+   * @returns {string[]} The steps taken, for the debug log
+   */
+  function apply(imageData, pipeline, onProgress) {
+    if (pipeline !== 'ocr' && pipeline !== 'tesseract') {
+      throw new Error('Unknown preprocessing pipeline: ' + pipeline);
+    }
+
+    const { width, height } = imageData;
+    const report = progress => onProgress && onProgress(progress);
+    const steps = [];
+    let gray = toGray(imageData);
+    let stats = measure(gray);
+    report(10);
+
+    if (stats.glareFraction >= MIN_GLARE_FRACTION && stats.glareFraction <= MAX_GLARE_FRACTION &&
+        stats.brightMean <= GLARE_LEVEL - GLARE_MARGIN) {
+      const filled = suppressGlare(gray, width, height);
+      steps.push(`glare ${(100 * filled / gray.length).toFixed(1)}%`);
+      stats = measure(gray);
+    }
+    report(25);
+
+    if ((stats.high - stats.low) * MIN_STRETCH_GAIN < 255 && stats.high > stats.low) {
+      stretchLevels(gray, stats.low, stats.high);
+      steps.push(`levels ${stats.low}-${stats.high}`);
+      stats = measure(gray);
+    }
+    report(40);
+
+    // Uncovered corners take the display's background so they read as empty
+    const fill = stats.brightForeground ? 0 : 255;
+    const small = downsample(gray, width, height, ANALYSIS_WIDTH);
+    const quad = findDisplayQuad(small, stats);
+    const rectified = quad && perspectiveOf(quad) >= MIN_PERSPECTIVE
+      ? rectify(gray, width, height, quad.map(p => ({ x: p.x * small.scale, y: p.y * small.scale })), fill)
+      : null;
+    if (rectified) {
+      gray = rectified;
+      steps.push(`perspective ${(100 * perspectiveOf(quad)).toFixed(0)}%`);
+    } else {
+      const skew = estimateSkew(small, stats);
+      if (Math.abs(skew) >= MIN_SKEW) {
+        gray = rotate(gray, width, height, skew, fill);
+        steps.push(`deskew ${skew}°`);
+      }
+    }
+    report(70);
+
+    const bimodal = pipeline === 'tesseract' && stats.separability >= MIN_BIMODALITY;
+    if (bimodal) {
+      hardThreshold(gray, stats.threshold, stats.brightForeground);
+      steps.push(`threshold ${stats.threshold}${stats.brightForeground ? ' inverted' : ''}`);
+    } else {
+      softThreshold(gray, stats.threshold);
+      steps.push(`contrast around ${stats.threshold}`);
+      if (pipeline === 'ocr') {
+        unsharp(gray, width, height, SHARPEN_AMOUNT);
+        steps.push('sharpen');
+      }
+    }
+
+    writeGray(imageData, gray);
+    report(100);
+    return steps;
+  }
+
+  /**
+   * Variance of the 4-neighbour Laplacian: low when edges are soft (blur or shake)
+   */
+  function laplacianVariance(gray, width, height) {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const laplacian = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+        sum += laplacian;
+        sumSquares += laplacian * laplacian;
+        count++;
+      }
+    }
+    if (count === 0) return 0;
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+  }
+
+  /**
+   * Measure whether a photo is worth sending to OCR
+   * @param {ImageData} imageData - The photo scaled to QUALITY_WIDTH (see getQualitySize)
+   * @param {{width: number, height: number}} original - The photo's own size
+   * @returns {{issues: string[], metrics: object}} issues are 'blurry', 'dark',
+   *   'overexposed', 'glare' and 'small', worst first
+   */
+  function assessQuality(imageData, original) {
+    const { width, height } = imageData;
+    const gray = toGray(imageData);
+    const stats = measure(gray);
+
+    let sum = 0;
+    for (let i = 0; i < gray.length; i++) sum += gray[i];
+
+    const metrics = {
+      sharpness: Math.round(laplacianVariance(gray, width, height)),
+      brightness: Math.round(sum / gray.length),
+      // The brightest 1% of the photo: lit digits, or the display in daylight
+      contentBrightness: stats.high,
+      // Highlights only count as glare when they outshine the rest of the bright class
+      glare: stats.brightMean <= GLARE_LEVEL - GLARE_MARGIN ? stats.glareFraction : 0,
+      width: original.width,
+      height: original.height
+    };
+
+    const dark = metrics.brightness < MIN_BRIGHTNESS && metrics.contentBrightness < MIN_CONTENT_BRIGHTNESS;
+    const issues = [];
+    // A dark photo has soft edges too; blame the exposure, not the focus
+    if (metrics.sharpness < MIN_SHARPNESS && !dark) issues.push('blurry');
+    if (dark) issues.push('dark');
+    if (metrics.brightness > MAX_BRIGHTNESS) issues.push('overexposed');
+    if (metrics.glare > MAX_GLARE_AREA) issues.push('glare');
+    if (Math.min(original.width, original.height) < MIN_SHORT_SIDE) issues.push('small');
+
+    return { issues, metrics };
+  }
+
+  /**
+   * Get the size a photo is scaled to for the quality check
+   */
+  function getQualitySize(width, height) {
+    if (width <= QUALITY_WIDTH) {
+      return { width, height };
+    }
+    return { width: QUALITY_WIDTH, height: Math.round(height * QUALITY_WIDTH / width) };
+  }
+
+  return {
+    getTargetSize,
+    getQualitySize,
+    apply,
+    assessQuality
+  };
+});
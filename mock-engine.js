@@ -0,0 +1,84 @@
+/**
+ * Deterministic mock OCR engine for development and demos
+ * Inert unless CONFIG.mockOcr is set, then every photo type is routed to it:
+ *
+ *   mockOcr: {
+ *     results: ['GALLONS\n12.345\n...', { text: 'ODO 45230 mi', confidence: 90 }]
+ *   }
+ *
+ * Photos get the results in upload order (cycling); the same image always
+ * gets the same result until reset() is called.
+ */
+
+const MockOcrEngine = (function() {
+  'use strict';
+
+  // Image hash -> index into the results, in the order images were seen
+  const assigned = new Map();
+
+  /**
+   * Get the canned results from config (strings are plain text results)
+   */
+  function getResults() {
+    const config = typeof CONFIG !== 'undefined' && CONFIG.mockOcr;
+    const results = (config && config.results) || [];
+    return results.map(result => typeof result === 'string' ? { text: result } : result);
+  }
+
+  /**
+   * Hash image data (FNV-1a) so the same photo maps to the same result
+   */
+  function hashImage(imageData) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < imageData.length; i++) {
+      hash ^= imageData.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Return the canned result for an image
+   */
+  async function extract(imageData) {
+    const results = getResults();
+    if (results.length === 0) {
+      throw new Error('Mock OCR has no results. Add them to CONFIG.mockOcr.results');
+    }
+
+    const key = hashImage(imageData);
+    if (!assigned.has(key)) {
+      assigned.set(key, assigned.size % results.length);
+    }
+    const result = results[assigned.get(key)];
+
+    return {
+      text: result.text || '',
+      confidence: result.confidence !== undefined ? result.confidence : 90,
+      lines: result.lines || []
+    };
+  }
+
+  /**
+   * Forget which images got which results
+   */
+  function reset() {
+    assigned.clear();
+  }
+
+  OCR.registerEngine({
+    id: 'mock',
+    capabilities: { offline: true, cost: 0, bestFor: ['pump', 'odometer', 'unknown'] },
+    isAvailable: () => getResults().length > 0,
+    extract
+  });
+
+  if (getResults().length > 0) {
+    ['pump', 'odometer', 'unknown'].forEach(photoType => OCR.setRoute(photoType, ['mock']));
+  }
+
+  return {
+    reset,
+    hashImage
+  };
+})();
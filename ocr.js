@@ -1,15 +1,69 @@
 /**
  * OCR Module for extracting fuel data from images
- * - Pump images (LCD displays): Google Cloud Vision API
+ * - Pump images (LCD displays): Google Cloud Vision API, then the experimental
+ *   on-device seven-segment decoder
  * - Odometer images: Tesseract.js (local)
+ * The text is parsed by parsers.js, with the saved settings as defaults
  */
 
 const OCR = (function() {
   let worker = null;
   let initPromise = null;
+  let preprocessWorker = null;
+  let preprocessWorkerFailed = false;
+  let nextPreprocessJobId = 1;
+  // Preprocess job the worker is running, by id: {onProgress, resolve, reject}
+  const preprocessJobs = new Map();
+  // Jobs not yet posted to the worker, which runs one at a time: {id, imageData, pipeline, job}
+  const preprocessQueue = [];
   let debugCallback = null;
   let apiKey = null;
 
+  // Unit systems, locales and OCR geometry helpers live with the parsers
+  const { UNIT_SYSTEMS, LOCALES, getBox, boxHeight, normalizeBoundingPoly } = Parsers;
+
+  // Pump display readers: Vision with the on-device decoder as fallback, or on-device only
+  const PUMP_ENGINES = ['auto', 'seven-segment'];
+
+  // Use the first engine that reads a photo, or run them all and vote field by field
+  const OCR_MODES = ['single', 'ensemble'];
+
+  // Digital displays, or mechanical drums (a tenths wheel and digits caught mid-roll)
+  const ODOMETER_TYPES = ['digital', 'mechanical'];
+
+  // Tesseract page segmentation modes (tessedit_pageseg_mode) for digit regions
+  const PSM = { AUTO: '3', SINGLE_LINE: '7', SINGLE_WORD: '8' };
+
+  // Tesseract parameters for the first pass over the whole frame
+  const FULL_FRAME_PARAMETERS = {
+    preserve_interword_spaces: '1',
+    tessedit_char_whitelist: '',
+    tessedit_pageseg_mode: PSM.AUTO
+  };
+
+  // Digit regions are read again with only these characters allowed
+  const DIGIT_WHITELIST = '0123456789.,$';
+
+  // Digit regions read again per photo, tallest first (display digits are the big ones)
+  const MAX_DIGIT_REGIONS = 6;
+
+  // Crops are scaled up until their digits are about this tall (Tesseract reads
+  // 30-50 px text best), with a margin of ROI_PADDING x their height
+  const ROI_TARGET_HEIGHT = 48;
+  const ROI_MAX_SCALE = 4;
+  const ROI_PADDING = 0.25;
+
+  /**
+   * Read a saved setting, or null when localStorage can't be used (blocked, private mode)
+   */
+  function readSetting(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (e) {
+      return null;
+    }
+  }
+
   /**
    * Set Google Cloud Vision API key
    */
@@ -32,12 +86,133 @@ const OCR = (function() {
       return CONFIG.workerUrl;
     }
     // From localStorage
-    const stored = localStorage.getItem('fuelly_worker_url');
+    const stored = readSetting('fuelly_worker_url');
     if (stored) return stored;
     // Default for GitHub Pages deployment
     return 'https://fuelly-ocr-proxy.mattadata-fuelly.workers.dev/ocr';
   }
 
+  /**
+   * Get unit system used to read photos ('us' or 'metric')
+   */
+  function getUnitSystem() {
+    const stored = readSetting('fuelly_unit_system') ||
+                   (typeof CONFIG !== 'undefined' && CONFIG.unitSystem);
+    return UNIT_SYSTEMS[stored] ? stored : 'us';
+  }
+
+  /**
+   * Set unit system used to read photos
+   */
+  function setUnitSystem(unitSystem) {
+    if (!UNIT_SYSTEMS[unitSystem]) {
+      throw new Error('Unknown unit system: ' + unitSystem);
+    }
+    try {
+      localStorage.setItem('fuelly_unit_system', unitSystem);
+    } catch (e) {
+      // localStorage might not be available
+    }
+  }
+
+  /**
+   * Get locale used to read numbers and currency on photos
+   * Falls back to the browser language, then en-US
+   */
+  function getLocale() {
+    const stored = readSetting('fuelly_locale') ||
+                   (typeof CONFIG !== 'undefined' && CONFIG.locale);
+    if (LOCALES[stored]) return stored;
+
+    const language = typeof navigator !== 'undefined' ? navigator.language : '';
+    if (LOCALES[language]) return language;
+    const sameLanguage = Object.keys(LOCALES).find(id => id.split('-')[0] === (language || '').split('-')[0]);
+    return sameLanguage || 'en-US';
+  }
+
+  /**
+   * Set locale used to read numbers and currency on photos
+   */
+  function setLocale(locale) {
+    if (!LOCALES[locale]) {
+      throw new Error('Unknown locale: ' + locale);
+    }
+    try {
+      localStorage.setItem('fuelly_locale', locale);
+    } catch (e) {
+      // localStorage might not be available
+    }
+  }
+
+  /**
+   * Get the kind of odometer photographed ('digital' or 'mechanical' rolling drums)
+   */
+  function getOdometerType() {
+    const stored = readSetting('fuelly_odometer_type') ||
+                   (typeof CONFIG !== 'undefined' && CONFIG.odometerType);
+    return ODOMETER_TYPES.includes(stored) ? stored : 'digital';
+  }
+
+  /**
+   * Set the kind of odometer photographed
+   */
+  function setOdometerType(odometerType) {
+    if (!ODOMETER_TYPES.includes(odometerType)) {
+      throw new Error('Unknown odometer type: ' + odometerType);
+    }
+    try {
+      localStorage.setItem('fuelly_odometer_type', odometerType);
+    } catch (e) {
+      // localStorage might not be available
+    }
+  }
+
+  /**
+   * Get the reader used for pump displays ('auto' or 'seven-segment')
+   */
+  function getPumpEngine() {
+    const stored = readSetting('fuelly_pump_engine') ||
+                   (typeof CONFIG !== 'undefined' && CONFIG.pumpEngine);
+    return PUMP_ENGINES.includes(stored) ? stored : 'auto';
+  }
+
+  /**
+   * Set the reader used for pump displays
+   */
+  function setPumpEngine(pumpEngine) {
+    if (!PUMP_ENGINES.includes(pumpEngine)) {
+      throw new Error('Unknown pump engine: ' + pumpEngine);
+    }
+    try {
+      localStorage.setItem('fuelly_pump_engine', pumpEngine);
+    } catch (e) {
+      // localStorage might not be available
+    }
+  }
+
+  /**
+   * Get how photos are read ('single' or 'ensemble')
+   */
+  function getOcrMode() {
+    const stored = readSetting('fuelly_ocr_mode') ||
+                   (typeof CONFIG !== 'undefined' && CONFIG.ocrMode);
+    return OCR_MODES.includes(stored) ? stored : 'single';
+  }
+
+  /**
+   * Set how photos are read
+   */
+  function setOcrMode(ocrMode) {
+    if (!OCR_MODES.includes(ocrMode)) {
+      throw new Error('Unknown OCR mode: ' + ocrMode);
+    }
+    try {
+      localStorage.setItem('fuelly_ocr_mode', ocrMode);
+    } catch (e) {
+      // localStorage might not be available
+    }
+  }
+
   /**
    * Get stored API key
    */
@@ -45,7 +220,7 @@ const OCR = (function() {
     if (!apiKey) {
       // Try to load from config.js first, then localStorage
       apiKey = (typeof CONFIG !== 'undefined' && CONFIG.googleVisionApiKey) ||
-                localStorage.getItem('fuelly_google_vision_key');
+                readSetting('fuelly_google_vision_key');
     }
     return apiKey;
   }
@@ -77,24 +252,258 @@ const OCR = (function() {
     }
   }
 
+  // OCR engines by id, in registration order. Each engine is
+  // { id, capabilities: { offline, cost, bestFor }, isAvailable(), extract(imageData) }
+  // where cost is relative per photo (0 = free) and bestFor lists photo types
+  const engines = new Map();
+
+  // Photo types an engine can be routed for; 'unknown' is a photo not yet classified
+  const PHOTO_TYPES = ['pump', 'odometer', 'unknown'];
+
+  // Engines tried in order for each photo type until one reads some text.
+  // Unclassified photos go where pump photos go: Vision reads odometers too
+  const DEFAULT_ROUTES = {
+    pump: ['worker', 'vision', 'seven-segment'],
+    odometer: ['tesseract', 'worker', 'vision'],
+    unknown: ['worker', 'vision', 'seven-segment']
+  };
+
+  // Routes set at runtime with setRoute(), by photo type
+  const routes = {};
+
   /**
-   * Extract text from image
+   * Register an OCR engine (replaces one with the same id)
+   */
+  function registerEngine(engine) {
+    if (!engine || !engine.id || typeof engine.extract !== 'function') {
+      throw new Error('OCR engine needs an id and an extract function');
+    }
+    const capabilities = engine.capabilities || {};
+    const unknownType = (capabilities.bestFor || []).find(type => !PHOTO_TYPES.includes(type));
+    if (unknownType) {
+      throw new Error('Unknown photo type: ' + unknownType);
+    }
+    engines.set(engine.id, {
+      id: engine.id,
+      capabilities: {
+        offline: !!capabilities.offline,
+        cost: capabilities.cost || 0,
+        bestFor: capabilities.bestFor || []
+      },
+      isAvailable: engine.isAvailable || (() => true),
+      extract: engine.extract
+    });
+  }
+
+  /**
+   * List registered engines with their capabilities and current availability
+   */
+  function getEngines() {
+    return Array.from(engines.values()).map(engine => ({
+      id: engine.id,
+      capabilities: engine.capabilities,
+      available: isEngineAvailable(engine)
+    }));
+  }
+
+  /**
+   * Check an engine can run now (an isAvailable that throws counts as unavailable)
+   */
+  function isEngineAvailable(engine) {
+    try {
+      return !!engine.isAvailable();
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the engine ids tried for a photo type, in order
+   * setRoute() wins, then CONFIG.ocrRoutes, then the pump reader setting and defaults.
+   * Registered engines best for the type that no route names are tried last.
+   */
+  function getRoute(photoType) {
+    if (!PHOTO_TYPES.includes(photoType)) {
+      throw new Error('Unknown photo type: ' + photoType);
+    }
+    if (routes[photoType]) return routes[photoType].slice();
+
+    const configured = typeof CONFIG !== 'undefined' && CONFIG.ocrRoutes && CONFIG.ocrRoutes[photoType];
+    if (configured) return configured.slice();
+
+    let route = DEFAULT_ROUTES[photoType];
+    if (photoType !== 'odometer' && getPumpEngine() === 'seven-segment') {
+      route = ['seven-segment'];
+    }
+
+    const extras = Array.from(engines.values())
+      .filter(engine => engine.capabilities.bestFor.includes(photoType))
+      .map(engine => engine.id)
+      .filter(id => !route.includes(id) && !Object.values(DEFAULT_ROUTES).some(r => r.includes(id)));
+
+    return route.concat(extras);
+  }
+
+  /**
+   * Set the engine ids tried for a photo type (null restores the default route)
+   */
+  function setRoute(photoType, engineIds) {
+    if (!PHOTO_TYPES.includes(photoType)) {
+      throw new Error('Unknown photo type: ' + photoType);
+    }
+    if (engineIds === null) {
+      delete routes[photoType];
+      return;
+    }
+    const unknownId = engineIds.find(id => !engines.has(id));
+    if (unknownId) {
+      throw new Error('Unknown OCR engine: ' + unknownId);
+    }
+    routes[photoType] = engineIds.slice();
+  }
+
+  /**
+   * Check the browser reports a network connection
+   */
+  function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Check Worker mode is on
+   */
+  function isWorkerMode() {
+    return (typeof CONFIG !== 'undefined' && !!CONFIG.useWorker) ||
+           readSetting('fuelly_use_worker') === 'true';
+  }
+
+  /**
+   * Extract text from image with the engines routed for its photo type
+   * Engines that are unavailable are skipped; one that fails or reads nothing
+   * hands the photo to the next. The result names the engine that read it.
+   * In ensemble mode every available engine reads the photo and the result also
+   * carries `ensemble`, each engine's reading (route order first) for voting.
    * @param {string} imageData - Base64 image data
-   * @param {boolean} useVisionAPI - True for pump displays (use Google Vision)
+   * @param {string} photoType - 'pump', 'odometer' or 'unknown' (true/false
+   *   from older callers mean pump/odometer)
    */
-  async function extractText(imageData, useVisionAPI = false) {
-    const useWorker = (typeof CONFIG !== 'undefined' && CONFIG.useWorker) ||
-                      localStorage.getItem('fuelly_use_worker') === 'true';
+  async function extractText(imageData, photoType = 'unknown') {
+    if (typeof photoType === 'boolean') {
+      photoType = photoType ? 'pump' : 'odometer';
+    }
 
-    if (useWorker) {
-      return await extractWithWorker(imageData);
+    const route = getRoute(photoType)
+      .map(id => engines.get(id))
+      .filter(engine => engine && isEngineAvailable(engine));
+
+    if (getOcrMode() === 'ensemble') {
+      // "On-device only" for pumps still holds: nothing leaves the device
+      const onDeviceOnly = photoType !== 'odometer' && getPumpEngine() === 'seven-segment';
+      const others = Array.from(engines.values())
+        .filter(engine => !route.includes(engine) && isEngineAvailable(engine))
+        .filter(engine => !onDeviceOnly || engine.capabilities.offline);
+      // One cloud engine per photo: the worker and Vision are the same reader, billed twice
+      const cloud = route.concat(others).find(engine => !engine.capabilities.offline);
+      const ensembleEngines = route.concat(others)
+        .filter(engine => engine.capabilities.offline || engine === cloud);
+      return extractWithEnsemble(imageData, ensembleEngines, photoType);
     }
 
-    if (useVisionAPI) {
-      return await extractWithVisionAPI(imageData);
+    if (route.length === 0) {
+      throw new Error('No OCR engine available for ' + photoType + ' photos. Check your connection or settings.');
+    }
+
+    let emptyResult = null;
+    let lastError = null;
+
+    for (const engine of route) {
+      try {
+        debugLog('OCR engine:', { engine: engine.id, photoType: photoType });
+        const result = await engine.extract(imageData);
+        if (result.text && result.text.trim()) {
+          return Object.assign({}, result, { engine: engine.id });
+        }
+        emptyResult = emptyResult || Object.assign({}, result, { engine: engine.id });
+      } catch (error) {
+        debugLog('OCR engine failed:', { engine: engine.id, error: error.message });
+        lastError = error;
+      }
     }
 
-    return await extractWithTesseract(imageData);
+    // An engine that failed explains more than one that read nothing
+    if (lastError) throw lastError;
+    return emptyResult;
+  }
+
+  /**
+   * Read a photo not yet classified, then route it by what it shows
+   * The photo is read with the 'unknown' route and classified; engines its type's route
+   * puts ahead of the one that read it then get a go (an odometer goes to Tesseract).
+   * Ensemble mode reads with every engine anyway, so there is no second pass.
+   * @param {string} imageData - Base64 image data
+   * @returns {Promise<object>} As extractText, plus `photoType` ('pump', 'odometer' or 'unknown')
+   */
+  async function extractTextByType(imageData) {
+    const first = await extractText(imageData, 'unknown');
+    const classified = first.text && first.text.trim() ? classifyPhoto(first).type : 'unknown';
+    // Receipts are read like pump photos
+    const photoType = classified === 'receipt' ? 'pump' : classified;
+    if (photoType === 'unknown' || getOcrMode() === 'ensemble') {
+      return Object.assign({}, first, { photoType });
+    }
+
+    const route = getRoute(photoType);
+    const firstIndex = route.indexOf(first.engine);
+    const ahead = route.slice(0, firstIndex >= 0 ? firstIndex : route.length)
+      .map(id => engines.get(id))
+      .filter(engine => engine && engine.id !== first.engine && isEngineAvailable(engine));
+
+    for (const engine of ahead) {
+      try {
+        debugLog('OCR engine (routed):', { engine: engine.id, photoType: photoType });
+        const result = await engine.extract(imageData);
+        if (result.text && result.text.trim()) {
+          return Object.assign({}, result, { engine: engine.id, photoType });
+        }
+      } catch (error) {
+        debugLog('OCR engine failed:', { engine: engine.id, error: error.message });
+      }
+    }
+
+    return Object.assign({}, first, { photoType });
+  }
+
+  /**
+   * Read a photo with every engine given, one after another
+   * The first engine that reads some text supplies the result's own text and lines
+   */
+  async function extractWithEnsemble(imageData, ensembleEngines, photoType) {
+    if (ensembleEngines.length === 0) {
+      throw new Error('No OCR engine available for ' + photoType + ' photos. Check your connection or settings.');
+    }
+
+    const readings = [];
+    let lastError = null;
+
+    for (const engine of ensembleEngines) {
+      try {
+        debugLog('OCR engine (ensemble):', { engine: engine.id, photoType: photoType });
+        const result = await engine.extract(imageData);
+        if (result.text && result.text.trim()) {
+          readings.push(Object.assign({}, result, { engine: engine.id }));
+        }
+      } catch (error) {
+        debugLog('OCR engine failed:', { engine: engine.id, error: error.message });
+        lastError = error;
+      }
+    }
+
+    if (readings.length === 0) {
+      if (lastError) throw lastError;
+      return { text: '', confidence: 0, lines: [], engine: null, ensemble: [] };
+    }
+
+    return Object.assign({}, readings[0], { ensemble: readings });
   }
 
   /**
@@ -168,7 +577,8 @@ const OCR = (function() {
       const annotation = annotations[i];
       lines.push({
         text: annotation.description,
-        confidence: annotation.confidence || 85
+        confidence: annotation.confidence || 85,
+        boundingPoly: normalizeBoundingPoly(annotation.boundingPoly)
       });
     }
 
@@ -182,12 +592,163 @@ const OCR = (function() {
   }
 
   /**
-   * Preprocess image for better OCR accuracy
-   * - Upscales small images
-   * - Enhances contrast
+   * Preprocess image for better OCR accuracy (Vision and the seven-segment decoder)
+   * - Downscales large images
+   * - Adapts to the photo: glare, levels, perspective or skew, contrast (see image-filters.js)
    * - Sharpens text
    */
   function preprocessForOCR(imageData) {
+    return preprocess(imageData, 'ocr');
+  }
+
+  /**
+   * Preprocess image for Tesseract
+   */
+  function preprocessImage(imageData) {
+    return preprocess(imageData, 'tesseract');
+  }
+
+  /**
+   * Run an ImageFilters pipeline on an image, returning a JPEG data URL
+   * Runs in preprocess-worker.js where OffscreenCanvas is available so the spinner
+   * keeps turning, otherwise on the main thread
+   */
+  async function preprocess(imageData, pipeline) {
+    const onProgress = progress => updateProgress(`Enhancing image... ${progress}%`);
+
+    if (canPreprocessInWorker()) {
+      try {
+        return await preprocessInWorker(imageData, pipeline, onProgress);
+      } catch (error) {
+        if (error.timedOut) throw error;
+        debugLog('Preprocess worker failed, using main thread:', error.message);
+      }
+    }
+
+    return preprocessOnMainThread(imageData, pipeline, onProgress);
+  }
+
+  /**
+   * Check the browser can run the preprocess worker
+   */
+  function canPreprocessInWorker() {
+    return !preprocessWorkerFailed &&
+           typeof Worker !== 'undefined' &&
+           typeof OffscreenCanvas !== 'undefined' &&
+           typeof createImageBitmap !== 'undefined';
+  }
+
+  /**
+   * Start the preprocess worker (once) and route its messages to pending jobs
+   */
+  function getPreprocessWorker() {
+    if (preprocessWorker) return preprocessWorker;
+
+    preprocessWorker = new Worker('preprocess-worker.js');
+
+    preprocessWorker.onmessage = function(event) {
+      const { id, progress, result, steps, error } = event.data;
+      const job = preprocessJobs.get(id);
+      if (!job) return;
+
+      if (progress !== undefined) {
+        job.onProgress(progress);
+        return;
+      }
+      preprocessJobs.delete(id);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        debugLog('Image preprocessed:', steps);
+        job.resolve(result);
+      }
+      postNextPreprocessJob();
+    };
+
+    // The script failed to load or crashed: stop trying and use the main thread
+    preprocessWorker.onerror = function(event) {
+      preprocessWorkerFailed = true;
+      stopPreprocessWorker(new Error(event.message || 'Preprocess worker failed'));
+    };
+
+    return preprocessWorker;
+  }
+
+  /**
+   * Terminate the preprocess worker, failing its running and queued jobs
+   */
+  function stopPreprocessWorker(error) {
+    if (preprocessWorker) {
+      preprocessWorker.terminate();
+      preprocessWorker = null;
+    }
+    for (const job of preprocessJobs.values()) {
+      job.reject(error);
+    }
+    preprocessJobs.clear();
+    for (const queued of preprocessQueue.splice(0)) {
+      queued.job.reject(error);
+    }
+  }
+
+  /**
+   * Post the next queued job once the worker is free
+   * Its timeout starts now, so time spent waiting behind other photos doesn't count
+   */
+  function postNextPreprocessJob() {
+    if (preprocessJobs.size > 0 || preprocessQueue.length === 0) return;
+
+    const { id, imageData, pipeline, job } = preprocessQueue.shift();
+    job.timeoutId = setTimeout(() => {
+      const error = new Error('Image preprocessing timed out');
+      error.timedOut = true;
+      // Only this job failed: a new worker takes the ones queued behind it
+      preprocessJobs.delete(id);
+      if (preprocessWorker) {
+        preprocessWorker.terminate();
+        preprocessWorker = null;
+      }
+      job.reject(error);
+      postNextPreprocessJob();
+    }, 15000); // 15 second timeout
+
+    preprocessJobs.set(id, job);
+    try {
+      getPreprocessWorker().postMessage({ id, imageData, pipeline });
+    } catch (error) {
+      preprocessJobs.delete(id);
+      job.reject(error);
+      postNextPreprocessJob();
+    }
+  }
+
+  /**
+   * Preprocess an image in the worker (queued behind the jobs already sent)
+   */
+  function preprocessInWorker(imageData, pipeline, onProgress) {
+    return new Promise((resolve, reject) => {
+      const job = {
+        onProgress,
+        timeoutId: null,
+        resolve: result => {
+          clearTimeout(job.timeoutId);
+          resolve(result);
+        },
+        reject: error => {
+          clearTimeout(job.timeoutId);
+          reject(error);
+        }
+      };
+
+      preprocessQueue.push({ id: nextPreprocessJobId++, imageData, pipeline, job });
+      postNextPreprocessJob();
+    });
+  }
+
+  /**
+   * Preprocess an image on the main thread (browsers without OffscreenCanvas)
+   */
+  function preprocessOnMainThread(imageData, pipeline, onProgress) {
     return new Promise((resolve, reject) => {
       const timeoutId = setTimeout(() => {
         reject(new Error('Image preprocessing timed out'));
@@ -202,95 +763,62 @@ const OCR = (function() {
 
       img.onload = function() {
         try {
+          const { width, height } = ImageFilters.getTargetSize(img.width, img.height);
           const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-
-          // Downscale large images to max 2000px width for faster processing
-          const maxWidth = 2000;
-          let width = img.width;
-          let height = img.height;
-
-          if (width > maxWidth) {
-            const scale = maxWidth / width;
-            width = maxWidth;
-            height = Math.round(height * scale);
-          }
-
           canvas.width = width;
           canvas.height = height;
 
-          // Enable image smoothing for better scaling
+          const ctx = canvas.getContext('2d');
           ctx.imageSmoothingEnabled = true;
           ctx.imageSmoothingQuality = 'high';
           ctx.drawImage(img, 0, 0, width, height);
 
-          // Get image data for processing
-          const imgData = ctx.getImageData(0, 0, width, height);
-          const data = imgData.data;
+          const pixels = ctx.getImageData(0, 0, width, height);
+          const steps = ImageFilters.apply(pixels, pipeline, onProgress);
+          ctx.putImageData(pixels, 0, 0);
+          debugLog('Image preprocessed:', steps);
 
-          // Convert to grayscale and enhance contrast
-          for (let i = 0; i < data.length; i += 4) {
-            // Grayscale
-            const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+          clearTimeout(timeoutId);
+          resolve(canvas.toDataURL('image/jpeg', 0.9));
+        } catch (err) {
+          clearTimeout(timeoutId);
+          reject(new Error('Image processing failed: ' + err.message));
+        }
+      };
 
-            // High contrast enhancement - make dark darker, light lighter
-            // This helps decimal points and LCD segments stand out
-            const contrast = 1.5;
-            const enhanced = ((gray / 255 - 0.5) * contrast + 0.5) * 255;
-            const clamped = Math.min(255, Math.max(0, enhanced));
+      img.src = imageData;
+    });
+  }
 
-            data[i] = data[i + 1] = data[i + 2] = clamped;
-          }
+  /**
+   * Check a photo before it is read: sharpness, exposure, glare and resolution
+   * Measured on the main thread on a copy about 640 px wide
+   * @param {string} imageData - Photo data URL
+   * @returns {Promise<{issues: string[], metrics: object}>} See ImageFilters.assessQuality
+   */
+  function checkPhotoQuality(imageData) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
 
-          ctx.putImageData(imgData, 0, 0);
+      img.onerror = function() {
+        reject(new Error('Failed to load image'));
+      };
 
-          // Skip sharpening for very large images to avoid blocking
-          // For images > 1.5 megapixels, skip the sharpening pass
-          const pixelCount = width * height;
-          if (pixelCount > 1500000) {
-            debugLog('Skipping sharpening for large image');
-            clearTimeout(timeoutId);
-            resolve(canvas.toDataURL('image/jpeg', 0.9));
-            return;
-          }
+      img.onload = function() {
+        try {
+          const { width, height } = ImageFilters.getQualitySize(img.width, img.height);
+          const canvas = document.createElement('canvas');
+          canvas.width = width;
+          canvas.height = height;
 
-          // Apply sharpening using a convolution
-          const sharpenCanvas = document.createElement('canvas');
-          sharpenCanvas.width = width;
-          sharpenCanvas.height = height;
-          const sharpenCtx = sharpenCanvas.getContext('2d');
-
-          // Copy the contrast-enhanced image
-          sharpenCtx.drawImage(canvas, 0, 0);
-          const sharpenData = sharpenCtx.getImageData(0, 0, width, height);
-          const sd = sharpenData.data;
-          const origData = ctx.getImageData(0, 0, width, height);
-          const od = origData.data;
-
-          // Unsharp mask: subtract blurred version
-          const amount = 0.5;
-          for (let y = 1; y < height - 1; y++) {
-            for (let x = 1; x < width - 1; x++) {
-              const idx = (y * width + x) * 4;
-
-              // Simple box blur kernel
-              const blur = (
-                od[idx - width * 4] + od[idx + width * 4] +
-                od[idx - 4] + od[idx + 4] +
-                od[idx]
-              ) / 5;
-
-              // Sharpen
-              const sharpened = od[idx] + (od[idx] - blur) * amount;
-              sd[idx] = sd[idx + 1] = sd[idx + 2] = Math.min(255, Math.max(0, sharpened));
-            }
-          }
+          const ctx = canvas.getContext('2d');
+          ctx.drawImage(img, 0, 0, width, height);
 
-          clearTimeout(timeoutId);
-          resolve(sharpenCanvas.toDataURL('image/jpeg', 0.9));
+          const quality = ImageFilters.assessQuality(ctx.getImageData(0, 0, width, height), img);
+          debugLog('Photo quality:', quality);
+          resolve(quality);
         } catch (err) {
-          clearTimeout(timeoutId);
-          reject(new Error('Image processing failed: ' + err.message));
+          reject(new Error('Photo quality check failed: ' + err.message));
         }
       };
 
@@ -315,7 +843,6 @@ const OCR = (function() {
     // Preprocess image for better OCR accuracy
     updateProgress('Enhancing image...');
     const preprocessedImage = await preprocessForOCR(imageData);
-    debugLog('Image preprocessed');
 
     // Retry logic with exponential backoff
     const maxRetries = 3;
@@ -385,7 +912,31 @@ const OCR = (function() {
   }
 
   /**
-   * Extract text using Tesseract (for odometer)
+   * Extract LCD digits on the device with the seven-segment decoder
+   * Works offline; reads digits and decimal points only, no labels.
+   * Throws unless the digits read as a pump display (Parsers.isPlausiblePumpReading)
+   */
+  async function extractWithSevenSegment(imageData) {
+    debugLog('Using on-device seven-segment decoder');
+    updateProgress('Reading display on device...');
+
+    const preprocessed = await preprocessForOCR(imageData);
+    const result = await SevenSegment.recognize(preprocessed);
+
+    debugLog('Seven-segment result:', result.text);
+
+    // Segment noise decodes as digits too; let the next engine have the photo
+    if (!Parsers.isPlausiblePumpReading(result, withSettings())) {
+      throw new Error('No pump reading found by the on-device decoder');
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract text using Tesseract
+   * A first pass over the whole frame finds the labels and where the numbers are;
+   * each number region is then cropped, scaled up and read again as digits only
    */
   async function extractWithTesseract(imageData) {
     if (!worker) {
@@ -397,13 +948,148 @@ const OCR = (function() {
 
     debugLog('Tesseract result:', result.data.text);
 
+    const lines = (result.data.lines || []).map(line => Object.assign({}, line, {
+      words: (line.words || []).map(word => Object.assign({}, word))
+    }));
+    const regions = findDigitRegions(lines);
+    if (regions.length === 0) {
+      return {
+        text: result.data.text,
+        confidence: result.data.confidence,
+        lines: result.data.lines
+      };
+    }
+
+    const image = await loadImage(preprocessed);
+    try {
+      for (const [i, region] of regions.entries()) {
+        updateProgress(`Reading digits (${i + 1} of ${regions.length})...`);
+        await worker.setParameters({
+          tessedit_char_whitelist: DIGIT_WHITELIST,
+          tessedit_pageseg_mode: region.words.length > 1 ? PSM.SINGLE_LINE : PSM.SINGLE_WORD
+        });
+        const read = await worker.recognize(cropRegion(image, region.box));
+        applyRegionReading(region, read.data);
+      }
+    } finally {
+      await worker.setParameters(FULL_FRAME_PARAMETERS);
+    }
+
+    for (const line of lines) {
+      line.words = line.words.filter(word => word.text);
+      line.text = line.words.map(word => word.text).join(' ');
+    }
+    const text = lines.map(line => line.text).join('\n');
+
+    debugLog('Tesseract result after digit regions:', text);
+
     return {
-      text: result.data.text,
+      text,
       confidence: result.data.confidence,
-      lines: result.data.lines
+      lines
     };
   }
 
+  /**
+   * Find the numbers worth reading again: runs of numeric words on a line
+   * Words a few characters apart ("12 345" on an LCD) become one region read as a line
+   * @returns {Array<{box: object, words: object[], confidence: number}>} Tallest first
+   */
+  function findDigitRegions(lines) {
+    const regions = [];
+
+    for (const line of lines) {
+      let current = null;
+      for (const word of line.words) {
+        const text = (word.text || '').trim();
+        const digits = (text.match(/\d/g) || []).length;
+        if (!word.bbox || digits < 2 || digits < text.length / 2) {
+          current = null;
+          continue;
+        }
+
+        const box = getBox(word);
+        const gap = current ? box.x0 - current.box.x1 : Infinity;
+        if (current && gap < boxHeight(current.box)) {
+          current.words.push(word);
+          current.box = {
+            x0: Math.min(current.box.x0, box.x0),
+            y0: Math.min(current.box.y0, box.y0),
+            x1: Math.max(current.box.x1, box.x1),
+            y1: Math.max(current.box.y1, box.y1)
+          };
+        } else {
+          current = { box, words: [word] };
+          regions.push(current);
+        }
+      }
+    }
+
+    for (const region of regions) {
+      region.confidence = Math.min(...region.words.map(word => word.confidence || 0));
+    }
+
+    return regions
+      .sort((a, b) => boxHeight(b.box) - boxHeight(a.box))
+      .slice(0, MAX_DIGIT_REGIONS);
+  }
+
+  /**
+   * Put a region's digits-only reading in place of its words
+   * The reading is kept when it is about as sure as the first pass, or the first
+   * pass read something that is not a number
+   */
+  function applyRegionReading(region, data) {
+    const text = (data.text || '').trim().replace(/\s+/g, ' ');
+    const firstPass = region.words.map(word => word.text).join(' ');
+    const clean = /^\$?[\d.,]+(?: [\d.,]+)*$/.test(firstPass);
+
+    if (!/\d/.test(text) || (clean && data.confidence < region.confidence - 10)) {
+      debugLog('Digit region kept:', { firstPass, region: text, confidence: data.confidence });
+      return;
+    }
+
+    debugLog('Digit region read:', { firstPass, region: text, confidence: data.confidence });
+    region.words[0].text = text;
+    region.words[0].confidence = data.confidence;
+    region.words[0].bbox = region.box;
+    for (const word of region.words.slice(1)) {
+      word.text = '';
+    }
+  }
+
+  /**
+   * Load an image data URL
+   */
+  function loadImage(imageData) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Failed to load image'));
+      img.src = imageData;
+    });
+  }
+
+  /**
+   * Crop a region with some margin, scaled up until its digits are ROI_TARGET_HEIGHT tall
+   */
+  function cropRegion(img, box) {
+    const pad = Math.round(boxHeight(box) * ROI_PADDING);
+    const x0 = Math.max(0, box.x0 - pad);
+    const y0 = Math.max(0, box.y0 - pad);
+    const x1 = Math.min(img.width, box.x1 + pad);
+    const y1 = Math.min(img.height, box.y1 + pad);
+    const scale = Math.min(ROI_MAX_SCALE, Math.max(1, ROI_TARGET_HEIGHT / boxHeight(box)));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round((x1 - x0) * scale);
+    canvas.height = Math.round((y1 - y0) * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, x0, y0, x1 - x0, y1 - y0, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
   /**
    * Initialize Tesseract worker
    */
@@ -422,9 +1108,7 @@ const OCR = (function() {
           }
         });
 
-        await worker.setParameters({
-          preserve_interword_spaces: '1',
-        });
+        await worker.setParameters(FULL_FRAME_PARAMETERS);
 
         return worker;
       } catch (error) {
@@ -437,241 +1121,49 @@ const OCR = (function() {
   }
 
   /**
-   * Preprocess image for Tesseract
+   * Parser options with the saved settings filled in where the caller gave none
    */
-  function preprocessImage(imageData) {
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.onload = function() {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
-        const maxWidth = 2000;
-        let width = img.width;
-        let height = img.height;
-
-        if (width > maxWidth) {
-          height = (maxWidth / width) * height;
-          width = maxWidth;
-        }
-
-        canvas.width = width;
-        canvas.height = height;
-
-        ctx.drawImage(img, 0, 0, width, height);
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
-
-        // Grayscale with contrast
-        for (let i = 0; i < data.length; i += 4) {
-          const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-          const enhanced = gray < 128 ? gray * 0.8 : gray * 1.2;
-          data[i] = data[i + 1] = data[i + 2] = Math.min(255, Math.max(0, enhanced));
-        }
-
-        ctx.putImageData(imageData, 0, 0);
-        resolve(canvas.toDataURL('image/jpeg', 0.9));
-      };
-      img.src = imageData;
+  function withSettings(options = {}) {
+    return Object.assign({}, options, {
+      unitSystem: options.unitSystem || getUnitSystem(),
+      locale: options.locale || getLocale(),
+      odometerType: options.odometerType || getOdometerType()
     });
   }
 
   /**
-   * Parse pump data from OCR text
+   * Parse pump data from OCR text (see Parsers.parsePumpData)
    */
-  function parsePumpData(ocrResult) {
-    let text = ocrResult.text;
-    debugLog('Parsing pump data from text:', text);
-
-    let gallons = null;
-    let gallonsConfidence = 0;
-    let gallonsDigits = null;  // Track digits used for gallons
-    let pricePerGallon = null;
-    let priceConfidence = 0;
-    let total = null;
-    let totalConfidence = 0;
-
-    // Clean up common OCR artifacts from LCD displays
-    // The pump shows "9.811" but Vision reads it as "9.8 | 1" or "9.81 1"
-    // The | represents an LCD segment that should be "1"
-
-    // First, handle the gallons display specifically (context-aware)
-    text = text.replace(/GALLONS\s*\n\s*(\d)\.(\d)\s*\|\s*(\d)/g, function(match, whole, decimal, last) {
-      // "9.8 | 1" -> the | means there's a 1 in the middle, so result is 9.811
-      return 'GALLONS\n' + whole + '.' + decimal + '1' + last;
-    });
-
-    // General patterns for other cases
-    text = text
-      // Fix OCR artifacts with spaces in decimals: "10. 19" -> "10.19"
-      .replace(/(\d+)\.\s+(\d{2})\b/g, '$1.$2')
-      // "9.81 | 1" -> "9.811"
-      .replace(/(\d)\.(\d{2})\s*\|\s*(\d)/g, '$1.$2$3')
-      // "9.81|1" -> "9.811"
-      .replace(/(\d)\.(\d{2})\|(\d)/g, '$1.$2$3')
-      // "9.81 1" -> "9.811" (but only if followed by non-digit, to avoid breaking other numbers)
-      .replace(/(\d)\.(\d{2})\s+1(?!\d)/g, '$1.$21')
-      // "35.5 1" -> "35.51"
-      .replace(/(\d)\.(\d)\s+1(?!\d)/g, '$1.$2' + '1')
-      // Replace remaining | with 1
-      .replace(/\|/g, '1');
-
-    debugLog('Cleaned pump text:', text);
-
-    // Gallons: 3 decimals (e.g., 9.811)
-    const gallonsPattern = /\b(\d{1,2}\.\d{3})\b/;
-    let gallonsMatch = text.match(gallonsPattern);
-
-    // HEURISTIC: If no gallons found with decimal, try to find 5-digit number
-    // that could be gallons without detected decimal (e.g., "14997" -> 14.997)
-    if (!gallonsMatch) {
-      // Look for 4-5 digit numbers that could be gallons (1-25 gallons range)
-      const noDecimalPattern = /\b(\d{4,5})\b/g;
-      const candidates = [...text.matchAll(noDecimalPattern)];
-      debugLog('Gallons heuristic candidates:', candidates.map(m => m[1]));
-
-      for (const match of candidates) {
-        const digits = match[1];
-        // Try inserting decimal after 1-2 digits for gallons
-        for (let decimalPos = 1; decimalPos <= 2; decimalPos++) {
-          const withDecimal = parseFloat(
-            digits.slice(0, decimalPos) + '.' + digits.slice(decimalPos)
-          );
-          // Valid gallons range: 1-25, with 3 decimal places means 4-5 digits
-          if (withDecimal >= 1 && withDecimal <= 25 && digits.length === decimalPos + 3) {
-            gallons = withDecimal;
-            gallonsMatch = match;
-            gallonsDigits = digits;
-            debugLog('Gallons heuristic applied:', digits, '->', withDecimal);
-            break;
-          }
-        }
-        if (gallons) break;
-      }
-    }
-
-    if (gallonsMatch && !gallons) {
-      gallons = parseFloat(gallonsMatch[1]);
-    }
-
-    if (gallons) {
-      for (const line of ocrResult.lines) {
-        if (line.text && (line.text.includes(gallonsMatch[1]) || line.text.includes(gallons.toString()))) {
-          gallonsConfidence = line.confidence || 70;
-          break;
-        }
-      }
-    }
-
-    // Total: 2 decimals, $10-$500 range
-    const totalPattern = /\$?\s*(\d{1,3}\.\d{2})\b/g;
-    let totalMatches = [...text.matchAll(totalPattern)];
-
-    // HEURISTIC: If no total found with decimal, try 4-digit numbers
-    // that could be total without detected decimal (e.g., "5948" -> 59.48)
-    if (totalMatches.length === 0) {
-      const noDecimalPattern = /\b(\d{4})\b/g;
-      const candidates = [...text.matchAll(noDecimalPattern)];
-      debugLog('Total heuristic candidates:', candidates.map(m => m[1]));
-
-      for (const match of candidates) {
-        const digits = match[1];
-        // Skip if these digits were already used for gallons
-        if (gallonsDigits && digits === gallonsDigits) {
-          debugLog('Skipping total candidate (used for gallons):', digits);
-          continue;
-        }
-
-        // Try inserting decimal after 2 digits for total (e.g., 5948 -> 59.48)
-        for (let decimalPos = 2; decimalPos <= 3; decimalPos++) {
-          const withDecimal = parseFloat(
-            digits.slice(0, decimalPos) + '.' + digits.slice(decimalPos)
-          );
-          // Valid total range: $10-$500
-          if (withDecimal >= 10 && withDecimal <= 500) {
-            total = withDecimal;
-            totalMatches = [match];
-            debugLog('Total heuristic applied:', digits, '->', withDecimal);
-            break;
-          }
-        }
-        if (total) break;
-      }
-    }
-
-    if (!total && totalMatches.length > 0) {
-      for (const match of totalMatches) {
-        const value = parseFloat(match[1]);
-        if (value >= 10 && value <= 500) {
-          total = value;
-          for (const line of ocrResult.lines) {
-            if (line.text && line.text.includes(match[1])) {
-              totalConfidence = line.confidence || 70;
-              break;
-            }
-          }
-          break;
-        }
-      }
-    }
-
-    if (total) {
-      for (const line of ocrResult.lines) {
-        if (line.text && line.text.includes(total.toString())) {
-          totalConfidence = line.confidence || 70;
-          break;
-        }
-      }
-    }
-
-    // Calculate price per gallon from total and gallons
-    if (total && gallons && !pricePerGallon) {
-      pricePerGallon = total / gallons;
-      priceConfidence = Math.min(totalConfidence, gallonsConfidence);
-    }
-
-    debugLog('Pump data parsed:', { gallons, pricePerGallon, total });
-
-    return {
-      gallons: { value: gallons, confidence: gallonsConfidence },
-      pricePerGallon: { value: pricePerGallon, confidence: priceConfidence },
-      total: { value: total, confidence: totalConfidence }
-    };
+  function parsePumpData(ocrResult, options) {
+    return Parsers.parsePumpData(ocrResult, withSettings(options));
   }
 
   /**
-   * Parse odometer data from OCR text
+   * Parse a fuel receipt (see Parsers.parseReceiptData)
    */
-  function parseOdometerData(ocrResult) {
-    const text = ocrResult.text;
-    debugLog('Parsing odometer data from text:', text);
-
-    // 5-6 digit numbers
-    const odometerPattern = /\b(\d{5,6})\b(?!\.\d)/g;
-    const matches = [...text.matchAll(odometerPattern)];
-
-    let miles = null;
-    let confidence = 0;
-
-    if (matches.length > 0) {
-      const match = matches.reduce((a, b) =>
-        parseInt(a[1]) > parseInt(b[1]) ? a : b
-      );
-      miles = parseInt(match[1]);
+  function parseReceiptData(ocrResult, options) {
+    return Parsers.parseReceiptData(ocrResult, withSettings(options));
+  }
 
-      for (const line of ocrResult.lines) {
-        if (line.text && line.text.includes(match[1])) {
-          confidence = line.confidence || 70;
-          break;
-        }
-      }
-    }
+  /**
+   * Parse an odometer photo (see Parsers.parseOdometerData)
+   */
+  function parseOdometerData(ocrResult, options) {
+    return Parsers.parseOdometerData(ocrResult, withSettings(options));
+  }
 
-    debugLog('Odometer data parsed:', { miles });
+  /**
+   * Decide whether a photo shows a pump, an odometer or a receipt (see Parsers.classifyPhoto)
+   */
+  function classifyPhoto(ocrResult, options) {
+    return Parsers.classifyPhoto(ocrResult, withSettings(options));
+  }
 
-    return {
-      miles: { value: miles, confidence }
-    };
+  /**
+   * Get the symbol shown for a currency code (defaults to the saved locale's currency)
+   */
+  function getCurrencySymbol(code) {
+    return Parsers.getCurrencySymbol(code, getLocale());
   }
 
   /**
@@ -694,6 +1186,7 @@ const OCR = (function() {
    * Terminate workers (cleanup)
    */
   async function terminate() {
+    stopPreprocessWorker(new Error('OCR terminated'));
     if (worker) {
       await worker.terminate();
       worker = null;
@@ -701,10 +1194,74 @@ const OCR = (function() {
     }
   }
 
+  /**
+   * Get labels and ranges for a unit system
+   */
+  function getUnits(unitSystem) {
+    return UNIT_SYSTEMS[unitSystem || getUnitSystem()];
+  }
+
+  Parsers.setLogger(debugLog);
+
+  // Built-in engines. Vision reads LCDs and printed labels best; the worker
+  // proxies it so the key stays off the device
+  registerEngine({
+    id: 'worker',
+    capabilities: { offline: false, cost: 1, bestFor: ['pump', 'odometer', 'unknown'] },
+    isAvailable: () => isWorkerMode() && isOnline(),
+    extract: extractWithWorker
+  });
+
+  registerEngine({
+    id: 'vision',
+    capabilities: { offline: false, cost: 1, bestFor: ['pump', 'odometer', 'unknown'] },
+    isAvailable: () => !isWorkerMode() && !!getApiKey() && isOnline(),
+    extract: extractWithVisionAPI
+  });
+
+  registerEngine({
+    id: 'seven-segment',
+    capabilities: { offline: true, cost: 0, bestFor: ['pump'] },
+    isAvailable: () => typeof SevenSegment !== 'undefined',
+    extract: extractWithSevenSegment
+  });
+
+  // Offline once tesseract.js has cached its language data
+  registerEngine({
+    id: 'tesseract',
+    capabilities: { offline: true, cost: 0, bestFor: ['odometer'] },
+    isAvailable: () => typeof Tesseract !== 'undefined',
+    extract: extractWithTesseract
+  });
+
   return {
     extractText,
+    extractTextByType,
+    registerEngine,
+    getEngines,
+    getRoute,
+    setRoute,
     parsePumpData,
     parseOdometerData,
+    parseReceiptData,
+    looksLikeReceipt: Parsers.looksLikeReceipt,
+    classifyPhoto,
+    assignPhotos: Parsers.assignPhotos,
+    detectFuelGrade: Parsers.detectFuelGrade,
+    checkPhotoQuality,
+    getUnits,
+    getUnitSystem,
+    setUnitSystem,
+    getLocale,
+    setLocale,
+    getOdometerType,
+    setOdometerType,
+    getPumpEngine,
+    setPumpEngine,
+    getOcrMode,
+    setOcrMode,
+    getCurrencySymbol,
+    normalizeLocaleText: Parsers.normalizeLocaleText,
     getConfidenceLevel,
     getConfidencePercent,
     terminate,
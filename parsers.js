@@ -0,0 +1,1802 @@
+/**
+ * Parsers for OCR text: pump displays, receipts, odometers and photo classification
+ * Shared by the app (ocr.js), the Cloudflare worker and the Node test runner, so
+ * tests measure what ships. Loads as a plain script (global `Parsers`) or a CommonJS
+ * module (`import Parsers from './parsers.js'` in Node and wrangler's bundler).
+ * Pure functions of the OCR result and options; no DOM or storage. Also the HEIF check
+ * on a photo's first bytes, which the app, the worker and the runner all make.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Parsers = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // What pump and odometer readings look like in each unit system
+  const UNIT_SYSTEMS = {
+    us: {
+      id: 'us',
+      volume: {
+        label: 'Gallons',
+        unit: 'gal',
+        min: 1,
+        max: 25,
+        decimals: [3],
+        pattern: /\b(\d{1,2}\.\d{3})\b/g,
+        suffix: /\b(\d{1,2}\.\d{2,3})[ \t]*(?:GAL|GALS|GALLONS?)\b/i
+      },
+      price: { label: 'Price per Gallon', min: 1, max: 10 },
+      total: { min: 10, max: 500 },
+      distance: { label: 'Miles', unit: 'mi' }
+    },
+    metric: {
+      id: 'metric',
+      volume: {
+        label: 'Litres',
+        unit: 'L',
+        min: 4,
+        max: 100,
+        decimals: [2, 3],
+        pattern: /\b(\d{1,3}\.\d{2,3})\b/g,
+        suffix: /\b(\d{1,3}\.\d{2,3})[ \t]*(?:L|LTR|LITRES?|LITERS?|ℓ)(?![A-Z])/i
+      },
+      price: { label: 'Price per Litre', min: 0.5, max: 4 },
+      total: { min: 5, max: 400 },
+      distance: { label: 'Kilometres', unit: 'km' }
+    }
+  };
+
+  // Number and currency conventions of the pumps we read
+  const LOCALES = {
+    'en-US': { decimal: '.', thousands: ',', currency: 'USD' },
+    'en-CA': { decimal: '.', thousands: ',', currency: 'CAD' },
+    'fr-CA': { decimal: ',', thousands: ' ', currency: 'CAD' },
+    'en-GB': { decimal: '.', thousands: ',', currency: 'GBP' },
+    'de-DE': { decimal: ',', thousands: '.', currency: 'EUR' },
+    'fr-FR': { decimal: ',', thousands: ' ', currency: 'EUR' },
+    'de-CH': { decimal: '.', thousands: "'", currency: 'CHF' }
+  };
+
+  // Currency markers as OCR sees them, most specific first ("C$" before "$")
+  const CURRENCIES = [
+    { code: 'CAD', symbol: 'C$', pattern: /C\s?\$|CA\$|\bCAD\b/g },
+    { code: 'CHF', symbol: 'CHF', pattern: /\bCHF\b|\bSFr\.?/g },
+    { code: 'EUR', symbol: '€', pattern: /€|\bEUR\b/g },
+    { code: 'GBP', symbol: '£', pattern: /£|\bGBP\b/g },
+    { code: 'USD', symbol: '$', pattern: /US\$|\bUSD\b/g },
+    // A bare "$" is the local dollar: CAD in Canada, USD everywhere else
+    { code: null, symbol: '$', pattern: /\$/g }
+  ];
+
+  // Settings used when a caller doesn't pass them (ocr.js passes the saved ones)
+  const DEFAULT_OPTIONS = { unitSystem: 'us', locale: 'en-US', odometerType: 'digital' };
+
+  let logger = null;
+
+  /**
+   * Send the parsers' debug messages somewhere (ocr.js passes its debug log)
+   */
+  function setLogger(callback) {
+    logger = callback;
+  }
+
+  function debugLog(message, data) {
+    if (logger) {
+      logger(message, data);
+    }
+  }
+
+  // Pump display labels, checked in order against merged label phrases.
+  // "PRICE/GAL" has to be read as a price label before "GAL" can claim it.
+  const PUMP_LABELS = [
+    { field: 'pricePerGallon', pattern: /PRICE|PER\s*(?:GAL|L\b)|\/\s*(?:GAL|L\b)|PPG/ },
+    { field: 'total', pattern: /SALE|TOTAL|AMOUNT|DOLLARS/ },
+    { field: 'gallons', pattern: /GAL|VOLUME|LITRE|LITER|LTR|^L$/ },
+    { field: 'money', pattern: /^\$$/ }
+  ];
+
+  /**
+   * Plausible values for a number that has been linked to a label
+   * Wider than the text heuristics since the label already says what it is
+   */
+  function getLayoutRanges(units) {
+    return {
+      gallons: { min: 0.1, max: units.volume.max * 4 },
+      pricePerGallon: { min: units.price.min / 2, max: units.price.max },
+      total: { min: 1, max: units.total.max * 2 }
+    };
+  }
+
+  // Labels further away than this (in label heights) are not linked
+  const MAX_LINK_DISTANCE = 8;
+
+  /**
+   * Get the symbol shown for a currency code (defaults to the locale's currency)
+   */
+  function getCurrencySymbol(code, locale) {
+    code = code || (LOCALES[locale] || LOCALES[DEFAULT_OPTIONS.locale]).currency;
+    const currency = CURRENCIES.find(c => c.code === code);
+    return currency ? currency.symbol : '$';
+  }
+
+  /**
+   * Rewrite locale-specific numbers and currency into the form the parsers expect
+   * - "52,40" -> "52.40", "1.234,56" -> "1234.56", "1'234.56" -> "1234.56"
+   * - €, £, CHF, C$ and ISO codes -> "$" so money patterns stay the same everywhere
+   * Runs before the LCD cleanup, so "9,8 | 1" still becomes 9.811
+   * @param {string} text - Raw OCR text
+   * @param {string} locale - Key of LOCALES
+   * @param {object} [options] - {groupedIntegers: true} also joins "123,456" (odometers)
+   * @returns {{text: string, currency: string}}
+   */
+  function normalizeLocaleText(text, locale, options = {}) {
+    const conventions = LOCALES[locale] || LOCALES['en-US'];
+
+    // The first currency marker on the photo wins over the locale default
+    let currency = conventions.currency;
+    let firstIndex = Infinity;
+    for (const { code, pattern } of CURRENCIES) {
+      const match = new RegExp(pattern.source).exec(text);
+      if (match && match.index < firstIndex) {
+        firstIndex = match.index;
+        currency = code || (conventions.currency === 'CAD' ? 'CAD' : 'USD');
+      }
+    }
+    for (const { pattern } of CURRENCIES) {
+      text = text.replace(pattern, '$');
+    }
+
+    // Photos can disagree with the setting: comma decimals with no dot decimals mean comma
+    const hasCommaDecimals = /\d,\d{2,3}(?!\d)/.test(text);
+    const hasDotDecimals = /\d\.\d{2,3}(?!\d)/.test(text);
+    const decimal = conventions.decimal === ',' || (hasCommaDecimals && !hasDotDecimals) ? ',' : '.';
+    const thousands = decimal === ',' ? (conventions.thousands === ',' ? '.' : conventions.thousands) : conventions.thousands;
+    // A space group may come through as a no-break or narrow no-break space ("1 052,40")
+    const sep = thousands === ' ' ? '[ \\u00A0\\u202F]' : thousands.replace(/[.$]/g, '\\$&');
+    const dec = decimal === '.' ? '\\.' : ',';
+
+    // Thousands groups in front of a decimal part: "1.234,56" -> "1234,56"
+    text = text.replace(new RegExp(`\\b(\\d{1,3}(?:${sep}\\d{3})+)(?=${dec}\\d)`, 'g'),
+      group => group.replace(new RegExp(sep, 'g'), ''));
+
+    // Whole numbers such as odometer readings: "123,456" -> "123456"
+    if (options.groupedIntegers) {
+      text = text.replace(/\b\d{1,3}(?:[,.' ]\d{3})+\b(?![.,]\d)/g, group => group.replace(/[,.' ]/g, ''));
+    }
+
+    if (decimal === ',') {
+      text = text.replace(/(\d),(\d)/g, '$1.$2');
+    } else {
+      // LCDs read "." as ",": a comma before exactly 2 digits can't be a thousands separator
+      text = text.replace(/(\d),(\d{2})(?!\d)/g, '$1.$2');
+    }
+
+    return { text, currency };
+  }
+
+  // Every OCR cleanup rule of the parsers, by id. tests/fixtures/rules.json has cases
+  // for them, and `node tests/runner.js --rules` fails on a rule without one
+  const CLEANUP_RULES = {
+    'gallons-pipe-context': 'Under a GALLONS label "9.8 | 1" is 9.811: the | is the middle 1',
+    'space-after-decimal': '"10. 19" is 10.19',
+    'pipe-between-digits': '"9.81 | 1" is 9.811',
+    'pipe-no-spaces': '"9.81|1" is 9.811',
+    'split-last-digit': '"9.81 1" is 9.811, on the same line only',
+    'split-last-digit-one-decimal': '"35.5 1" is 35.51',
+    'stray-pipe': 'Any other | is a 1',
+    'gallons-missing-decimal': 'Without a 3-decimal number, a 5-digit one is gallons missing its point (14997 -> 14.997)',
+    'total-missing-decimal': 'Without a 2-decimal number, a 4-digit one is the total missing its point (5472 -> 54.72)',
+    'gallons-price-by-total': 'Gallons and price look alike; the pair that multiplies to the total wins',
+    'triad-computed': 'Two of gallons, price and total give the third',
+    'triad-repaired': 'A total one digit off gallons x price is repaired',
+    'odometer-label': 'ODO and a unit mark the odometer',
+    'odometer-cluster-noise': 'Trip, range, temperature and clock are not the odometer',
+    'odometer-grouped-digits': '"45 230" is one reading',
+    'odometer-pipe-for-1': 'A bar beside an odometer\'s digits is a 1: "45 | 23" is 45123, "4523 |" is 45231, "ODO | 5231" is 15231',
+    'odometer-unit': 'A printed km or mi beats the setting',
+    'odometer-tenths-wheel': 'Mechanical drums: the tenths wheel is left off'
+  };
+
+  // LCD cleanups for pump text, in the order they apply
+  const LCD_CLEANUPS = [
+    // "10. 19" -> "10.19"
+    { rule: 'space-after-decimal', pattern: /(\d+)\.\s+(\d{2})\b/g, replacement: '$1.$2' },
+    // "9.81 | 1" -> "9.811"
+    { rule: 'pipe-between-digits', pattern: /(\d)\.(\d{2})\s*\|\s*(\d)/g, replacement: '$1.$2$3' },
+    // "9.81|1" -> "9.811"
+    { rule: 'pipe-no-spaces', pattern: /(\d)\.(\d{2})\|(\d)/g, replacement: '$1.$2$3' },
+    // "9.81 1" -> "9.811" (but only if followed by non-digit, to avoid breaking other numbers)
+    // Same line only: "45.32\n1.879" is litres followed by a price
+    { rule: 'split-last-digit', pattern: /(\d)\.(\d{2})[ \t]+1(?![\d.])/g, replacement: '$1.$21' },
+    // "35.5 1" -> "35.51"
+    { rule: 'split-last-digit-one-decimal', pattern: /(\d)\.(\d)[ \t]+1(?![\d.])/g, replacement: '$1.$2' + '1' },
+    // Replace remaining | with 1
+    { rule: 'stray-pipe', pattern: /\|/g, replacement: '1' }
+  ];
+
+  /**
+   * Clean up common OCR artifacts from LCD displays
+   * The pump shows "9.811" but Vision reads it as "9.8 | 1" or "9.81 1"
+   * The | represents an LCD segment that should be "1"
+   */
+  function cleanLcdText(text) {
+    return LCD_CLEANUPS.reduce((cleaned, cleanup) => cleaned.replace(cleanup.pattern, cleanup.replacement), text);
+  }
+
+  /**
+   * A bar beside an odometer's digits is a 1 read as one LCD segment (clusters print
+   * no bars): "45 | 23" inside a number, "4523 |" and "ODO | 5231" at its ends
+   */
+  function cleanOdometerBars(text) {
+    return text
+      .replace(/(\d)[ \t]*\|[ \t]*(?=\d)/g, '$1' + '1')
+      .replace(/(\d)[ \t]*\|/g, '$1' + '1')
+      .replace(/\|[ \t]*(?=\d)/g, '1');
+  }
+
+  /**
+   * Get an axis-aligned box for an OCR line or word
+   * Vision results carry a boundingPoly, Tesseract results carry a bbox
+   */
+  function getBox(item) {
+    if (item.boundingPoly && item.boundingPoly.vertices && item.boundingPoly.vertices.length) {
+      const xs = item.boundingPoly.vertices.map(v => v.x || 0);
+      const ys = item.boundingPoly.vertices.map(v => v.y || 0);
+      return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+    }
+    if (item.bbox) {
+      return { x0: item.bbox.x0, y0: item.bbox.y0, x1: item.bbox.x1, y1: item.bbox.y1 };
+    }
+    return null;
+  }
+
+  /**
+   * Flatten OCR lines into positioned tokens
+   * Tesseract lines are split into their words so labels and digits stay apart
+   */
+  function getLayoutTokens(lines, locale, options) {
+    const tokens = [];
+    for (const line of lines || []) {
+      const items = line.words && line.words.length ? line.words : [line];
+      for (const item of items) {
+        const box = item.text && item.text.trim() ? getBox(item) : null;
+        if (box) {
+          const text = normalizeLocaleText(item.text.trim(), locale, options).text;
+          tokens.push({ text, confidence: item.confidence || 70, box });
+        }
+      }
+    }
+    return tokens;
+  }
+
+  function boxHeight(box) {
+    return Math.max(1, box.y1 - box.y0);
+  }
+
+  function isSameRow(a, b) {
+    const overlap = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0);
+    return overlap > 0.5 * Math.min(boxHeight(a), boxHeight(b));
+  }
+
+  /**
+   * Merge tokens of one kind that sit next to each other on the same row
+   * ("9.8", "|", "1" -> "9.8 | 1" and "PRICE", "/", "GAL" -> "PRICE / GAL")
+   */
+  function mergeAdjacentTokens(tokens, maxGap) {
+    const sorted = tokens.slice().sort((a, b) => a.box.x0 - b.box.x0);
+    const groups = [];
+
+    for (const token of sorted) {
+      const group = groups.find(g => {
+        const gap = token.box.x0 - g.box.x1;
+        return isSameRow(g.box, token.box) &&
+               gap > -0.5 * boxHeight(g.box) &&
+               gap < maxGap * boxHeight(g.box);
+      });
+
+      if (group) {
+        group.text += ' ' + token.text;
+        group.confidence = Math.min(group.confidence, token.confidence);
+        group.box = {
+          x0: Math.min(group.box.x0, token.box.x0),
+          y0: Math.min(group.box.y0, token.box.y0),
+          x1: Math.max(group.box.x1, token.box.x1),
+          y1: Math.max(group.box.y1, token.box.y1)
+        };
+      } else {
+        groups.push({ text: token.text, confidence: token.confidence, box: Object.assign({}, token.box) });
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Read a pump value for a field from the digits linked to its label
+   * LCD decimals are often dropped entirely: "14997" beside GALLONS is 14.997
+   */
+  function interpretPumpNumber(raw, field) {
+    if (raw.includes('.')) {
+      return parseFloat(raw);
+    }
+    const impliedDecimals = field === 'total' ? 2 : 3;
+    if (raw.length <= impliedDecimals) {
+      return null;
+    }
+    return parseFloat(raw.slice(0, -impliedDecimals) + '.' + raw.slice(-impliedDecimals));
+  }
+
+  /**
+   * Distance between a label and a number in label heights
+   * Uses the gap between the boxes so labels beside wide numbers still link
+   */
+  function linkDistance(label, number) {
+    const dx = Math.max(0, label.box.x0 - number.box.x1, number.box.x0 - label.box.x1);
+    const dy = Math.max(0, label.box.y0 - number.box.y1, number.box.y0 - label.box.y1);
+    const cx = (label.box.x0 + label.box.x1 - number.box.x0 - number.box.x1) / 2;
+    const cy = (label.box.y0 + label.box.y1 - number.box.y0 - number.box.y1) / 2;
+    return (Math.hypot(dx, dy) + 0.1 * Math.hypot(cx, cy)) / boxHeight(label.box);
+  }
+
+  /**
+   * Parse pump fields by linking each number to the nearest display label
+   * Needs word geometry (Vision boundingPoly or Tesseract bbox); returns {} without it
+   */
+  function parsePumpLayout(lines, units, locale) {
+    const tokens = getLayoutTokens(lines, locale);
+    if (tokens.length === 0) return {};
+
+    const isNumeric = t => /^[\d.,|$]+$/.test(t.text) && t.text !== '$';
+    const numbers = mergeAdjacentTokens(tokens.filter(isNumeric), 1)
+      .map(group => {
+        const cleaned = cleanLcdText(group.text).replace(/\s+/g, '');
+        const match = cleaned.match(/\$?(\d+(?:\.\d+)?)/);
+        return match ? Object.assign(group, { raw: match[1], hasCurrency: cleaned.includes('$') }) : null;
+      })
+      .filter(Boolean);
+
+    const labels = mergeAdjacentTokens(tokens.filter(t => !isNumeric(t)), 0.6)
+      .map(group => {
+        const phrase = group.text.toUpperCase();
+        const label = PUMP_LABELS.find(l => l.pattern.test(phrase));
+        return label ? Object.assign(group, { field: label.field }) : null;
+      })
+      .filter(Boolean);
+
+    const ranges = getLayoutRanges(units);
+    const links = [];
+    for (const label of labels) {
+      for (const number of numbers) {
+        const distance = linkDistance(label, number);
+        if (distance <= MAX_LINK_DISTANCE) {
+          links.push({ label, number, distance });
+        }
+      }
+    }
+    links.sort((a, b) => a.distance - b.distance);
+
+    const result = {};
+    const usedLabels = new Set();
+    const usedNumbers = new Set();
+
+    for (const { label, number, distance } of links) {
+      if (usedLabels.has(label) || usedNumbers.has(number)) continue;
+
+      // A bare "$" only says the number is money: 3 decimals in price range is the price
+      let field = label.field;
+      if (field === 'money') {
+        field = /\.\d{3}$/.test(number.raw) && parseFloat(number.raw) <= units.price.max ? 'pricePerGallon' : 'total';
+      }
+      if (result[field]) continue;
+
+      const value = interpretPumpNumber(number.raw, field);
+      const range = ranges[field];
+      if (value === null || value < range.min || value > range.max) continue;
+
+      result[field] = { value, confidence: number.confidence, raw: number.raw };
+      usedLabels.add(label);
+      usedNumbers.add(number);
+      debugLog('Layout link:', { label: label.text, number: number.text, field, value, distance: Math.round(distance * 10) / 10 });
+    }
+
+    return result;
+  }
+
+  /**
+   * Round a value to a fixed number of decimals
+   */
+  function roundTo(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+
+  // Display precision of each pump field
+  const PUMP_DECIMALS = { gallons: 3, pricePerGallon: 3, total: 2 };
+
+  /**
+   * Pumps round gallons x price to the cent, so allow a little slack
+   */
+  function isTriadConsistent(gallons, price, total) {
+    return Math.abs(gallons * price - total) <= Math.max(0.02, total * 0.001);
+  }
+
+  /**
+   * Find the displayed price per gallon in OCR text
+   * Handles tenth-of-a-cent suffixes: "3.59 9/10" and "3.59⁹" -> 3.599
+   */
+  function findPriceCandidates(text, units) {
+    const candidates = [];
+
+    for (const match of text.matchAll(/(\d\.\d{2})\s*(?:9\s*\/\s*10|⁹(?:⁄₁₀)?)/g)) {
+      candidates.push({ value: roundTo(parseFloat(match[1]) + 0.009, 3), raw: match[1], rule: 'tenths', match });
+    }
+
+    // UK pumps show pence per litre: "149.9p" -> 1.499
+    for (const match of text.matchAll(/\b(\d{2,3}\.\d)\s*p\b/gi)) {
+      const value = roundTo(parseFloat(match[1]) / 100, 3);
+      if (value >= units.price.min && value < units.price.max) {
+        candidates.push({ value, raw: match[1], rule: 'pence', match });
+      }
+    }
+
+    for (const match of text.matchAll(/\$?\s*\b(\d\.\d{3})\b/g)) {
+      const value = parseFloat(match[1]);
+      if (value >= units.price.min && value < units.price.max && !candidates.some(c => c.raw === match[1])) {
+        candidates.push({ value, raw: match[1], rule: 'pattern', match });
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Levenshtein distance between the digits of two numbers
+   * A small distance means one reading is a plausible OCR misread of the other
+   */
+  function digitDistance(a, b) {
+    const x = a.replace(/\D/g, '');
+    const y = b.replace(/\D/g, '');
+    let previous = Array.from({ length: y.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= x.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= y.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (x[i - 1] === y[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[y.length];
+  }
+
+  /**
+   * Check gallons x price against total and repair or flag the odd one out
+   * Fields get a `note` ({kind, text, from}) that the review view shows
+   */
+  function reconcilePumpTriad(fields, units, currency) {
+    const { gallons, pricePerGallon, total } = fields;
+    const symbol = getCurrencySymbol(currency);
+    const labels = { gallons: units.volume.label, pricePerGallon: 'Price', total: 'Total' };
+    const present = Object.keys(labels).filter(key => fields[key].value);
+
+    // Two of three: the missing one follows from the others
+    if (present.length === 2) {
+      const missing = Object.keys(labels).find(key => !fields[key].value);
+      const expected = {
+        gallons: () => total.value / pricePerGallon.value,
+        pricePerGallon: () => total.value / gallons.value,
+        total: () => gallons.value * pricePerGallon.value
+      }[missing]();
+      const [a, b] = present.map(key => labels[key].toLowerCase());
+      const value = roundTo(expected, PUMP_DECIMALS[missing]);
+
+      // A value no pump shows means one of the two readings is wrong
+      const range = { gallons: units.volume, pricePerGallon: units.price, total: units.total }[missing];
+      if (!(value >= range.min && value <= range.max)) {
+        const shown = missing === 'gallons' ? value.toFixed(3) : symbol + value.toFixed(PUMP_DECIMALS[missing]);
+        const text = `${a} and ${b} give ${labels[missing].toLowerCase()} ${shown}, which no pump shows`;
+        for (const key of present) {
+          fields[key].confidence = Math.min(fields[key].confidence, 50);
+          fields[key].note = { kind: 'conflict', text: text.charAt(0).toUpperCase() + text.slice(1) };
+        }
+        debugLog('Pump triad conflict:', { missing, value });
+        return { status: 'conflict' };
+      }
+
+      fields[missing] = {
+        value,
+        confidence: Math.min(...present.map(key => fields[key].confidence)),
+        note: { kind: 'computed', text: `Calculated from ${a} and ${b}` }
+      };
+      return { status: 'computed', field: missing };
+    }
+
+    if (present.length < 3) {
+      return { status: 'incomplete' };
+    }
+
+    if (isTriadConsistent(gallons.value, pricePerGallon.value, total.value)) {
+      for (const key of present) {
+        fields[key].confidence = Math.max(fields[key].confidence, 90);
+      }
+      return { status: 'consistent' };
+    }
+
+    // One field disagrees: repair the one whose corrected value is closest to what was read
+    const expected = {
+      gallons: total.value / pricePerGallon.value,
+      pricePerGallon: total.value / gallons.value,
+      total: gallons.value * pricePerGallon.value
+    };
+
+    const repairs = present
+      .map(key => {
+        const corrected = roundTo(expected[key], PUMP_DECIMALS[key]);
+        const read = fields[key].value.toFixed(PUMP_DECIMALS[key]);
+        return {
+          key,
+          corrected,
+          distance: digitDistance(read, corrected.toFixed(PUMP_DECIMALS[key])),
+          confidence: fields[key].confidence
+        };
+      })
+      .filter(r => r.corrected > 0 && isFinite(r.corrected))
+      .sort((a, b) => a.distance - b.distance || a.confidence - b.confidence);
+
+    const product = (gallons.value * pricePerGallon.value).toFixed(2);
+    const best = repairs[0];
+
+    // More than two digits off is not a misread: leave the values alone and flag them
+    if (!best || best.distance > 2 || (repairs[1] && repairs[1].distance === best.distance &&
+        repairs[1].confidence === best.confidence)) {
+      const text = `${labels.gallons} × price (${symbol}${product}) does not match total (${symbol}${total.value.toFixed(2)})`;
+      for (const key of present) {
+        fields[key].confidence = Math.min(fields[key].confidence, 50);
+        fields[key].note = { kind: 'conflict', text };
+      }
+      debugLog('Pump triad conflict:', { gallons: gallons.value, pricePerGallon: pricePerGallon.value, total: total.value });
+      return { status: 'conflict' };
+    }
+
+    const from = fields[best.key].value;
+    const reason = {
+      gallons: `total ÷ price is ${best.corrected.toFixed(3)}`,
+      pricePerGallon: `total ÷ ${labels.gallons.toLowerCase()} is ${best.corrected.toFixed(3)}`,
+      total: `${labels.gallons.toLowerCase()} × price is ${symbol}${best.corrected.toFixed(2)}`
+    }[best.key];
+
+    fields[best.key] = {
+      value: best.corrected,
+      confidence: 60,
+      note: { kind: 'repaired', text: `Corrected from ${from}: ${reason}`, from }
+    };
+    debugLog('Pump triad repaired:', { field: best.key, from, to: best.corrected });
+    return { status: 'repaired', field: best.key };
+  }
+
+  // Alternatives offered per field in the review view
+  const MAX_CANDIDATES = 5;
+
+  // How much each way of finding a pump number is trusted when ranking alternatives
+  const CANDIDATE_SCORES = { label: 90, unit: 80, tenths: 80, pence: 80, currency: 70, pattern: 55, digits: 30 };
+
+  /**
+   * A candidate value and where it was found ({rule, text, index} into the cleaned text)
+   */
+  function makeCandidate(value, rule, match, score) {
+    return {
+      value,
+      score: score === undefined ? CANDIDATE_SCORES[rule] : score,
+      source: match
+        ? { rule, text: match[0].trim(), index: match.index }
+        : { rule, text: null, index: null }
+    };
+  }
+
+  /**
+   * Every plausible reading of each pump field, found by the same rules parsePumpData uses
+   */
+  function collectPumpCandidates(text, layout, units) {
+    const found = { gallons: [], pricePerGallon: [], total: [] };
+
+    for (const key of Object.keys(found)) {
+      if (layout[key]) {
+        const index = text.indexOf(layout[key].raw);
+        const match = index >= 0 ? Object.assign([layout[key].raw], { index }) : null;
+        found[key].push(makeCandidate(layout[key].value, 'label', match));
+      }
+    }
+
+    const suffix = new RegExp(units.volume.suffix.source, units.volume.suffix.flags + 'g');
+    for (const match of text.matchAll(suffix)) {
+      found.gallons.push(makeCandidate(parseFloat(match[1]), 'unit', match));
+    }
+    for (const match of text.matchAll(units.volume.pattern)) {
+      const value = parseFloat(match[1]);
+      if (value >= units.volume.min && value <= units.volume.max) {
+        found.gallons.push(makeCandidate(value, 'pattern', match));
+      }
+    }
+
+    for (const match of text.matchAll(/\$?\s*\b(\d{1,3}\.\d{2})\b/g)) {
+      const value = parseFloat(match[1]);
+      if (value >= units.total.min && value <= units.total.max) {
+        found.total.push(makeCandidate(value, match[0].includes('$') ? 'currency' : 'pattern', match));
+      }
+    }
+
+    // Digits whose decimal point the LCD lost: "14997" -> 14.997 gallons, "5948" -> 59.48
+    for (const match of text.matchAll(/\b(\d{4,5})\b(?!\.\d)/g)) {
+      const digits = match[1];
+      for (let decimalPos = 1; decimalPos < digits.length; decimalPos++) {
+        const value = parseFloat(digits.slice(0, decimalPos) + '.' + digits.slice(decimalPos));
+        const decimals = digits.length - decimalPos;
+        if (units.volume.decimals.includes(decimals) && value >= units.volume.min && value <= units.volume.max) {
+          found.gallons.push(makeCandidate(value, 'digits', match));
+        }
+        if (decimals === 2 && value >= units.total.min && value <= units.total.max) {
+          found.total.push(makeCandidate(value, 'digits', match));
+        }
+      }
+    }
+
+    for (const candidate of findPriceCandidates(text, units)) {
+      found.pricePerGallon.push(makeCandidate(candidate.value, candidate.rule, candidate.match));
+    }
+
+    return found;
+  }
+
+  /**
+   * Rank the alternatives for a field: the parsed value first, then the rest by score
+   * A repaired field keeps the value that was read as an alternative
+   */
+  function rankCandidates(field, found, decimals) {
+    const ranked = [];
+    const add = candidate => {
+      const value = roundTo(candidate.value, decimals);
+      if (!(value > 0)) return;
+      const existing = ranked.find(c => c.value === value);
+      if (!existing) {
+        ranked.push(Object.assign({}, candidate, { value }));
+      } else if (candidate.score > existing.score) {
+        existing.score = candidate.score;
+      }
+    };
+
+    const sorted = found.slice().sort((a, b) => b.score - a.score);
+    if (field.value) {
+      const value = roundTo(field.value, decimals);
+      const read = sorted.find(c => roundTo(c.value, decimals) === value);
+      add({
+        value,
+        score: 100,
+        source: read ? read.source : { rule: field.note ? field.note.kind : 'parsed', text: null, index: null }
+      });
+    }
+    sorted.forEach(add);
+
+    return ranked.slice(0, MAX_CANDIDATES);
+  }
+
+  /**
+   * Parse pump data from OCR text
+   * @param {object} ocrResult - {text, lines} from any OCR engine
+   * @param {object} [options] - {unitSystem: 'us'|'metric', locale}, defaults to the saved settings
+   * Field names stay gallons/pricePerGallon in both systems; `unitSystem` says which.
+   * Each field also carries `candidates`, ranked [{value, score, source}] for the review view.
+   * `grade` is the fuel grade (Regular, Plus, Premium, Diesel, E85) when the photo shows it.
+   */
+  function parsePumpData(ocrResult, options = {}) {
+    const units = UNIT_SYSTEMS[options.unitSystem] || UNIT_SYSTEMS[DEFAULT_OPTIONS.unitSystem];
+    const locale = LOCALES[options.locale] ? options.locale : DEFAULT_OPTIONS.locale;
+    debugLog('Parsing pump data from text:', ocrResult.text);
+
+    // Comma decimals and foreign currency first, so everything below sees "52.40" and "$"
+    const normalized = normalizeLocaleText(ocrResult.text, locale);
+    let text = normalized.text;
+
+    let gallons = null;
+    let gallonsConfidence = 0;
+    let gallonsDigits = null;  // Track digits used for gallons
+    let pricePerGallon = null;
+    let priceConfidence = 0;
+    let total = null;
+    let totalConfidence = 0;
+
+    // Clean up common OCR artifacts from LCD displays
+    // The pump shows "9.811" but Vision reads it as "9.8 | 1" or "9.81 1"
+    // The | represents an LCD segment that should be "1"
+
+    // First, handle the gallons display specifically (context-aware)
+    text = text.replace(/GALLONS\s*\n\s*(\d)\.(\d)\s*\|\s*(\d)/g, function(match, whole, decimal, last) {
+      // "9.8 | 1" -> the | means there's a 1 in the middle, so result is 9.811
+      return 'GALLONS\n' + whole + '.' + decimal + '1' + last;
+    });
+
+    // General patterns for other cases
+    text = cleanLcdText(text);
+
+    debugLog('Cleaned pump text:', text);
+
+    // Numbers linked to a label by position win over the text heuristics below
+    const layout = parsePumpLayout(ocrResult.lines, units, locale);
+    const claimedByLayout = Object.values(layout).map(field => field.raw);
+
+    // Gallons: 3 decimals (e.g., 9.811), skipping a price the layout already placed
+    // A unit suffix ("9.811 GAL", "45.32 L") beats position in the text
+    const gallonsPattern = units.volume.pattern;
+    const suffixMatch = text.match(units.volume.suffix);
+    let gallonsMatch = null;
+
+    if (layout.gallons) {
+      gallons = layout.gallons.value;
+      gallonsConfidence = layout.gallons.confidence;
+      gallonsMatch = [layout.gallons.raw, layout.gallons.raw];
+      gallonsDigits = layout.gallons.raw;
+    } else if (suffixMatch) {
+      gallonsMatch = suffixMatch;
+    } else {
+      gallonsMatch = [...text.matchAll(gallonsPattern)]
+        .find(match => {
+          const value = parseFloat(match[1]);
+          return !claimedByLayout.includes(match[1]) && value >= units.volume.min && value <= units.volume.max;
+        }) || null;
+    }
+
+    // HEURISTIC: If no gallons found with decimal, try to find 5-digit number
+    // that could be gallons without detected decimal (e.g., "14997" -> 14.997)
+    if (!gallonsMatch) {
+      // Look for 4-5 digit numbers that could be gallons (1-25 gallons or 4-100 litres)
+      const noDecimalPattern = /\b(\d{4,5})\b(?!\.\d)/g;
+      const candidates = [...text.matchAll(noDecimalPattern)];
+      debugLog('Gallons heuristic candidates:', candidates.map(m => m[1]));
+
+      for (const match of candidates) {
+        const digits = match[1];
+        if (claimedByLayout.includes(digits)) continue;
+        // Try inserting decimal after 1-3 digits for gallons
+        for (let decimalPos = 1; decimalPos <= 3; decimalPos++) {
+          const withDecimal = parseFloat(
+            digits.slice(0, decimalPos) + '.' + digits.slice(decimalPos)
+          );
+          // Valid range for the unit system, with the display's decimal places
+          if (withDecimal >= units.volume.min && withDecimal <= units.volume.max &&
+              units.volume.decimals.includes(digits.length - decimalPos)) {
+            gallons = withDecimal;
+            gallonsMatch = match;
+            gallonsDigits = digits;
+            debugLog('Gallons heuristic applied:', digits, '->', withDecimal);
+            break;
+          }
+        }
+        if (gallons) break;
+      }
+    }
+
+    if (gallonsMatch && !gallons) {
+      gallons = parseFloat(gallonsMatch[1]);
+    }
+
+    if (gallons && !gallonsConfidence) {
+      for (const line of ocrResult.lines || []) {
+        if (line.text && (line.text.includes(gallonsMatch[1]) || line.text.includes(gallons.toString()))) {
+          gallonsConfidence = line.confidence || 70;
+          break;
+        }
+      }
+    }
+
+    if (layout.total) {
+      total = layout.total.value;
+      totalConfidence = layout.total.confidence;
+    }
+
+    // Total: 2 decimals, $10-$500 range (never the litres reading, which may also have 2)
+    // Whole numbers only: "1052.40" is not a total of 52.40
+    const totalPattern = /\$?\s*(?<![\d.])(\d{1,4}\.\d{2})\b/g;
+    let totalMatches = [...text.matchAll(totalPattern)]
+      .filter(match => !gallonsMatch || match[1] !== gallonsMatch[1]);
+
+    // HEURISTIC: If no total found with decimal, try 4-digit numbers
+    // that could be total without detected decimal (e.g., "5948" -> 59.48)
+    if (!total && totalMatches.length === 0) {
+      const noDecimalPattern = /\b(\d{4})\b(?!\.\d)/g;
+      const candidates = [...text.matchAll(noDecimalPattern)];
+      debugLog('Total heuristic candidates:', candidates.map(m => m[1]));
+
+      for (const match of candidates) {
+        const digits = match[1];
+        // Skip if these digits were already used for gallons
+        if ((gallonsDigits && digits === gallonsDigits) || claimedByLayout.includes(digits)) {
+          debugLog('Skipping total candidate (used for gallons):', digits);
+          continue;
+        }
+
+        // Try inserting decimal after 2 digits for total (e.g., 5948 -> 59.48)
+        for (let decimalPos = 2; decimalPos <= 3; decimalPos++) {
+          const withDecimal = parseFloat(
+            digits.slice(0, decimalPos) + '.' + digits.slice(decimalPos)
+          );
+          // Valid total range: $10-$500
+          if (withDecimal >= units.total.min && withDecimal <= units.total.max) {
+            total = withDecimal;
+            totalMatches = [match];
+            debugLog('Total heuristic applied:', digits, '->', withDecimal);
+            break;
+          }
+        }
+        if (total) break;
+      }
+    }
+
+    if (!total && totalMatches.length > 0) {
+      for (const match of totalMatches) {
+        const value = parseFloat(match[1]);
+        if (value >= units.total.min && value <= units.total.max) {
+          total = value;
+          for (const line of ocrResult.lines || []) {
+            if (line.text && line.text.includes(match[1])) {
+              totalConfidence = line.confidence || 70;
+              break;
+            }
+          }
+          break;
+        }
+      }
+    }
+
+    if (total && !totalConfidence) {
+      for (const line of ocrResult.lines || []) {
+        if (line.text && line.text.includes(total.toString())) {
+          totalConfidence = line.confidence || 70;
+          break;
+        }
+      }
+    }
+
+    // Displayed price per gallon (3 decimals), never the number already used for gallons
+    if (layout.pricePerGallon) {
+      pricePerGallon = layout.pricePerGallon.value;
+      priceConfidence = layout.pricePerGallon.confidence;
+    } else {
+      const usedForGallons = gallonsMatch ? gallonsMatch[1] : null;
+      const priceCandidates = findPriceCandidates(text, units)
+        .filter(c => c.raw !== usedForGallons && !claimedByLayout.includes(c.raw));
+      debugLog('Price candidates:', priceCandidates.map(c => c.value));
+
+      // Gallons and price look alike (9.811 vs 3.599) and multiply the same either way round,
+      // so among the pairs that match a total prefer a price ending in 9, then the smaller one.
+      // Litres and totals both have 2 decimals, so any 2-decimal number may be the total.
+      const totals = [total, ...[...text.matchAll(totalPattern)].map(m => parseFloat(m[1]))]
+        .filter(t => t >= units.total.min && t <= units.total.max);
+      if (totals.length > 0 && !layout.gallons) {
+        const pairs = [];
+        for (const g of [...text.matchAll(gallonsPattern)].map(m => parseFloat(m[1]))) {
+          for (const c of findPriceCandidates(text, units)) {
+            const t = totals.find(t => t !== g && isTriadConsistent(g, c.value, t));
+            if (c.value !== g && t) {
+              pairs.push({ gallons: g, price: c, total: t });
+            }
+          }
+        }
+        pairs.sort((a, b) =>
+          ((b.total === total) - (a.total === total)) ||
+          (b.price.value.toFixed(3).endsWith('9') - a.price.value.toFixed(3).endsWith('9')) ||
+          (a.price.value - b.price.value)
+        );
+
+        if (pairs.length > 0) {
+          debugLog('Gallons/price chosen by total:', { gallons: pairs[0].gallons, pricePerGallon: pairs[0].price.value, total: pairs[0].total });
+          gallons = pairs[0].gallons;
+          total = pairs[0].total;
+          priceCandidates.unshift(pairs[0].price);
+        }
+      }
+
+      const price = priceCandidates.find(c => c.value !== gallons);
+      if (price) {
+        pricePerGallon = price.value;
+        for (const line of ocrResult.lines || []) {
+          if (line.text && line.text.includes(price.raw)) {
+            priceConfidence = line.confidence || 70;
+            break;
+          }
+        }
+        priceConfidence = priceConfidence || 70;
+      }
+    }
+
+    // A total above the usual range ("1.052,24 €") still counts when gallons x price give it
+    if (!total && gallons && pricePerGallon) {
+      const match = totalMatches.find(m => isTriadConsistent(gallons, pricePerGallon, parseFloat(m[1])));
+      if (match) {
+        total = parseFloat(match[1]);
+        totalConfidence = 70;
+      }
+    }
+
+    const fields = {
+      gallons: { value: gallons, confidence: gallonsConfidence },
+      pricePerGallon: { value: pricePerGallon, confidence: priceConfidence },
+      total: { value: total, confidence: totalConfidence }
+    };
+    const reconciliation = reconcilePumpTriad(fields, units, normalized.currency);
+
+    const found = collectPumpCandidates(text, layout, units);
+    for (const key of Object.keys(found)) {
+      fields[key].candidates = rankCandidates(fields[key], found[key], PUMP_DECIMALS[key]);
+    }
+
+    const grade = detectFuelGrade(text, fields.pricePerGallon.value ? fields.pricePerGallon.value.toFixed(3) : null);
+
+    debugLog('Pump data parsed:', {
+      gallons: fields.gallons.value,
+      pricePerGallon: fields.pricePerGallon.value,
+      total: fields.total.value,
+      grade: grade.value,
+      reconciliation: reconciliation.status
+    });
+
+    return Object.assign(fields, { grade, reconciliation, unitSystem: units.id, currency: normalized.currency });
+  }
+
+  /**
+   * Check OCR text reads as a pump display and not as stray digits ("8 8\n8 8 8")
+   * Needs a decimal number and two of gallons, price and total read (not computed) that don't conflict
+   * @param {object} ocrResult - {text, lines}
+   * @param {object} [options] - As for parsePumpData
+   */
+  function isPlausiblePumpReading(ocrResult, options = {}) {
+    if (!/\d[.,]\d{2}/.test(ocrResult.text || '')) {
+      return false;
+    }
+    const parsed = parsePumpData(ocrResult, options);
+    const read = ['gallons', 'pricePerGallon', 'total'].filter(key =>
+      parsed[key].value !== null && !(parsed[key].note && parsed[key].note.kind === 'computed'));
+    return read.length >= 2 && parsed.reconciliation.status !== 'conflict';
+  }
+
+  // Fuel grades as printed on pumps and receipts, most specific first.
+  // Bare octane numbers only count with OCT/RON or alone on a line (addresses have numbers too).
+  const FUEL_GRADES = [
+    { grade: 'E85', pattern: /\bE\s?85\b|FLEX\s*FUEL/ },
+    { grade: 'Diesel', pattern: /DIESEL|\bDSL\b|GAZOLE|\bULSD\b/ },
+    { grade: 'Premium', pattern: /PREMIUM|SUPREME|SUPER\s*(?:PLUS|UNLEADED)|V-?POWER|ULTIMATE|\bPREM\b|\bSP\s?98\b|\b(?:9[1-4]|98)\s*(?:OCT|RON)|^\s*9[1-4]\s*$/m },
+    { grade: 'Plus', pattern: /\bPLUS\b|MID-?GRADE|\b8[89]\s*OCT|^\s*8[89]\s*$/m },
+    { grade: 'Regular', pattern: /REGULAR|UNLEADED|\bUNL\b|\bREG\b|\bE10\b|\bSP\s?95\b|\bSUPER\b|\b87\s*OCT|\b95\s*RON|^\s*87\s*$/m }
+  ];
+
+  /**
+   * Find the fuel grade in OCR text
+   * Dispensers print every grade they sell, so with several on the photo the one
+   * on or beside the line showing `nearText` (the displayed price) wins
+   * @param {string} text - OCR text
+   * @param {string} [nearText] - Text on the selected grade's line
+   * @returns {{value: string|null, confidence: number}}
+   */
+  function detectFuelGrade(text, nearText) {
+    // Each phrase counts once: "SUPER UNLEADED" is Premium, not also Regular
+    let remaining = text.toUpperCase();
+    const grades = [];
+    for (const { grade, pattern } of FUEL_GRADES) {
+      const global = new RegExp(pattern.source, pattern.flags + 'g');
+      if (global.test(remaining)) {
+        grades.push({ grade, pattern });
+        remaining = remaining.replace(global, ' ');
+      }
+    }
+
+    if (grades.length === 0) {
+      return { value: null, confidence: 0 };
+    }
+    if (grades.length === 1) {
+      return { value: grades[0].grade, confidence: 75 };
+    }
+
+    if (nearText) {
+      const lines = text.toUpperCase().split('\n');
+      const index = lines.findIndex(line => line.includes(nearText));
+      // Same line first, then the label above, then below
+      for (const offset of index >= 0 ? [0, -1, 1] : []) {
+        const near = grades.find(g => g.pattern.test(lines[index + offset] || ''));
+        if (near) {
+          return { value: near.grade, confidence: 60 };
+        }
+      }
+    }
+
+    return { value: grades[0].grade, confidence: 30 };
+  }
+
+  // Receipt line labels; a fuel sale line beats the grand total (which may include a car wash)
+  const RECEIPT_LABELS = {
+    gallons: /GAL|VOLUME|QTY|LITRE|LITER|LTR|\bVOL\b/,
+    pricePerGallon: /PRICE|PPG|\/\s*(?:G|GAL|L|LTR)\b|@/,
+    fuelSale: /FUEL\s*(?:SALE|TOTAL|AMOUNT)?|\bSALE\b/,
+    total: /TOTAL|AMOUNT|\bAMT\b|BALANCE\s*DUE|BETRAG|SUMME|MONTANT/,
+    notTotal: /SUB\s*TOTAL|TAX|CHANGE|CASH|TENDER|DISCOUNT|SAVINGS/
+  };
+
+  // Station brands printed at the top of receipts
+  const STATION_BRANDS = /\b(SHELL|CHEVRON|EXXON|MOBIL|BP|ARCO|TEXACO|SUNOCO|CITGO|VALERO|PHILLIPS\s*66|CONOCO|MARATHON|SPEEDWAY|CIRCLE\s*K|COSTCO|SAM'?S\s*CLUB|KROGER|SAFEWAY|WAWA|SHEETZ|QUIKTRIP|CASEY'?S|PETRO-?CANADA|ESSO|HUSKY|TOTALENERGIES|ARAL|AGIP|TESCO|SAINSBURY'?S|ASDA|MORRISONS)\b/i;
+
+  /**
+   * Read a date and time from receipt text as a local ISO string ("2024-03-14T14:32")
+   * Slashed dates are month-first in en-US and day-first elsewhere, unless the first part is over 12
+   */
+  function parseReceiptDateTime(text, locale) {
+    let year = null;
+    let month = null;
+    let day = null;
+
+    const iso = text.match(/\b(20\d{2})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+    const other = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/);
+    if (iso) {
+      [year, month, day] = iso.slice(1).map(Number);
+    } else if (other) {
+      let [first, second, y] = other.slice(1).map(Number);
+      year = y < 100 ? 2000 + y : y;
+      const monthFirst = locale === 'en-US' ? first <= 12 : second > 12;
+      [month, day] = monthFirst ? [first, second] : [second, first];
+    }
+
+    if (!year || month < 1 || month > 12 || day < 1 || day > 31) {
+      return { value: null, confidence: 0 };
+    }
+
+    const pad = n => String(n).padStart(2, '0');
+    let value = `${year}-${pad(month)}-${pad(day)}`;
+
+    const time = text.match(/\b(\d{1,2}):(\d{2})(?::\d{2})?\s*(AM|PM)?\b/i);
+    if (time) {
+      let hours = Number(time[1]);
+      const meridiem = (time[3] || '').toUpperCase();
+      if (meridiem === 'PM' && hours < 12) hours += 12;
+      if (meridiem === 'AM' && hours === 12) hours = 0;
+      if (hours < 24) {
+        value += `T${pad(hours)}:${time[2]}`;
+      }
+    }
+
+    return { value, confidence: 80 };
+  }
+
+  /**
+   * Find the station name: a known brand anywhere, else the first line of words at the top
+   */
+  function parseReceiptStation(lines) {
+    for (const line of lines) {
+      const brand = line.match(STATION_BRANDS);
+      if (brand) {
+        return { value: brand[1].toUpperCase().replace(/\s+/g, ' '), confidence: 85 };
+      }
+    }
+
+    const heading = lines.slice(0, 3).find(line =>
+      (line.match(/[A-Za-z]/g) || []).length >= 3 && !/\d{3,}/.test(line));
+    return heading ? { value: heading.trim(), confidence: 50 } : { value: null, confidence: 0 };
+  }
+
+  /**
+   * Parse a printed fuel receipt
+   * @param {object} ocrResult - {text, lines} from any OCR engine
+   * @param {object} [options] - {unitSystem: 'us'|'metric', locale}, defaults to the saved settings
+   * Returns the same fields as parsePumpData, plus grade, dateTime and station,
+   * so a receipt can stand in for the pump photo
+   */
+  function parseReceiptData(ocrResult, options = {}) {
+    const units = UNIT_SYSTEMS[options.unitSystem] || UNIT_SYSTEMS[DEFAULT_OPTIONS.unitSystem];
+    const locale = LOCALES[options.locale] ? options.locale : DEFAULT_OPTIONS.locale;
+    debugLog('Parsing receipt data from text:', ocrResult.text);
+
+    // Dates are read before normalizing, which could take "14.03.2024" for numbers
+    const dateTime = parseReceiptDateTime(ocrResult.text, locale);
+
+    const normalized = normalizeLocaleText(ocrResult.text, locale);
+    const lines = normalized.text.split('\n').map(line => line.trim()).filter(Boolean);
+    const station = parseReceiptStation(lines);
+
+    const lineConfidence = raw => {
+      const line = (ocrResult.lines || []).find(l => l.text && l.text.includes(raw));
+      return line ? (line.confidence || 80) : 80;
+    };
+    const labelled = {};
+    const setField = (key, raw, value) => {
+      if (!labelled[key]) {
+        labelled[key] = { value, confidence: lineConfidence(raw), raw };
+      }
+    };
+
+    let fuelSale = null;
+    let grandTotal = null;
+
+    for (const line of lines) {
+      const upper = line.toUpperCase();
+      // Dates, times and card numbers are not amounts
+      const numbers = [...upper.replace(/\d{1,4}[-/.]\d{1,2}[-/.]\d{2,4}|\d{1,2}:\d{2}(?::\d{2})?|[*X]{2,}\d+/g, ' ')
+        .matchAll(/\$?\s*(\d+\.\d{2,3})/g)];
+      if (numbers.length === 0) continue;
+
+      // "10.512 G @ $3.599/G" or "45.32 L x 1.799": volume first, then the price
+      const at = upper.match(/(\d+\.\d{2,3})\s*(?:G|GAL|GALS|GALLONS|L|LTR|LITRES?|LITERS?)?\s*[@X×*]\s*\$?\s*(\d+\.\d{2,3})/);
+      if (at) {
+        setField('gallons', at[1], parseFloat(at[1]));
+        setField('pricePerGallon', at[2], parseFloat(at[2]));
+        continue;
+      }
+
+      const raw = numbers[numbers.length - 1][1];
+      const value = parseFloat(raw);
+
+      if (RECEIPT_LABELS.pricePerGallon.test(upper) && value >= units.price.min / 2 && value <= units.price.max) {
+        setField('pricePerGallon', raw, value);
+      } else if (RECEIPT_LABELS.gallons.test(upper) && value >= 0.1 && value <= units.volume.max * 4) {
+        setField('gallons', raw, value);
+      } else if (!RECEIPT_LABELS.notTotal.test(upper) && /\.\d{2}$/.test(raw)) {
+        if (RECEIPT_LABELS.fuelSale.test(upper) && !fuelSale) {
+          fuelSale = { raw, value };
+        } else if (RECEIPT_LABELS.total.test(upper) && !grandTotal) {
+          grandTotal = { raw, value };
+        }
+      }
+    }
+
+    const sale = fuelSale || grandTotal;
+    if (sale) {
+      setField('total', sale.raw, sale.value);
+    }
+
+    const fields = {};
+    for (const key of ['gallons', 'pricePerGallon', 'total']) {
+      fields[key] = labelled[key]
+        ? { value: labelled[key].value, confidence: labelled[key].confidence }
+        : { value: null, confidence: 0 };
+    }
+    const reconciliation = reconcilePumpTriad(fields, units, normalized.currency);
+
+    const found = collectPumpCandidates(normalized.text, labelled, units);
+    for (const key of Object.keys(found)) {
+      fields[key].candidates = rankCandidates(fields[key], found[key], PUMP_DECIMALS[key]);
+    }
+
+    const grade = detectFuelGrade(normalized.text);
+
+    debugLog('Receipt data parsed:', {
+      gallons: fields.gallons.value,
+      pricePerGallon: fields.pricePerGallon.value,
+      total: fields.total.value,
+      grade: grade.value,
+      dateTime: dateTime.value,
+      station: station.value
+    });
+
+    return Object.assign(fields, {
+      grade,
+      dateTime,
+      station,
+      reconciliation,
+      unitSystem: units.id,
+      currency: normalized.currency,
+      source: 'receipt'
+    });
+  }
+
+  /**
+   * Count the kinds of receipt-only wording (card, approval, date...) in OCR text
+   */
+  function countReceiptMarkers(text) {
+    const markers = [
+      /RECEIPT|INVOICE/, /VISA|MASTERCARD|AMEX|DISCOVER|DEBIT|CREDIT/, /AUTH|APPROVED|APPROVAL/,
+      /THANK\s*YOU/, /PUMP\s*(?:#|NO)/, /TRANS(?:ACTION)?\s*#|\bTRAN\b|\bREF\b/,
+      /\d+\.\d{2,3}\s*(?:G|GAL|L)?\s*[@X×*]\s*\$?\d/, /\b\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}\b/
+    ];
+    const upper = text.toUpperCase();
+    return markers.filter(marker => marker.test(upper)).length;
+  }
+
+  /**
+   * Whether OCR text looks like a printed receipt rather than a pump display
+   */
+  function looksLikeReceipt(text) {
+    return countReceiptMarkers(text) >= 2;
+  }
+
+  // Instrument-cluster labels, checked in order against merged label phrases
+  // A screen's title ("TRIP COMPUTER" over the odometer on Hondas) names no meter
+  const CLUSTER_LABELS = [
+    { kind: 'title', pattern: /TRIP\s*COMPUTER/ },
+    { kind: 'trip', pattern: /TRIP|TRP|^[AB]$|TAGES/ },
+    { kind: 'range', pattern: /RANGE|DTE|EMPTY|REICHWEITE|AUTONOMIE/ },
+    { kind: 'economy', pattern: /MPG|L\s*\/\s*100|KM\s*\/\s*L|AVG|AVERAGE/ },
+    { kind: 'odo', pattern: /ODO|TOTAL|GESAMT/ },
+    { kind: 'unit', pattern: /^(?:MI|MILES|KM)$/ }
+  ];
+
+  // How much each kind of linked label says about a number being the odometer
+  const CLUSTER_LABEL_SCORES = { title: 0, odo: 60, unit: 15, trip: -80, range: -80, economy: -80 };
+
+  // Score of an unlabelled number by its count of whole digits
+  const ODOMETER_DIGIT_SCORES = { 3: 5, 4: 20, 5: 40, 6: 40, 7: 30 };
+
+  // Best candidates below this are not treated as an odometer
+  const MIN_ODOMETER_SCORE = 25;
+
+  /**
+   * Lay plain OCR text out as tokens (one row per line, half a row per character)
+   * Lets the cluster parser link labels when the engine returned no geometry
+   */
+  function getTextTokens(text) {
+    const tokens = [];
+    text.split('\n').forEach((line, row) => {
+      for (const match of line.matchAll(/\S+/g)) {
+        tokens.push({
+          text: match[0],
+          confidence: 70,
+          box: { x0: match.index * 0.5, y0: row * 2, x1: (match.index + match[0].length) * 0.5, y1: row * 2 + 1 }
+        });
+      }
+    });
+    return tokens;
+  }
+
+  /**
+   * Score every number on an instrument cluster as the odometer reading
+   * Each label describes the number nearest to it; trip, range and economy labels push
+   * their number down, temperatures ("-3°C", "72F") and clocks ("12:34") are dropped
+   */
+  function scoreClusterNumbers(tokens, mechanical) {
+    const isReadout = t => /°|^-?\d+[FC]$|\d:\d{2}|%/i.test(t.text);
+    // A lone digit names a meter ("TRIP 1"), it is never a distance
+    const isNumber = t => /^\d+(?:\.\d+)?$/.test(t.text) && !/^\d$/.test(t.text) && !isReadout(t);
+
+    const numbers = tokens.filter(isNumber).map(t => ({
+      text: t.text,
+      confidence: t.confidence,
+      box: t.box,
+      value: parseFloat(t.text),
+      digits: t.text.split('.')[0].length,
+      hasDecimal: t.text.includes('.'),
+      // A whole reading plus one decimal on drums is the tenths wheel, not a trip meter
+      tenthsWheel: mechanical && /^\d{4,6}\.\d$/.test(t.text),
+      labels: []
+    }));
+
+    const labels = mergeAdjacentTokens(tokens.filter(t => !isNumber(t) && !isReadout(t)), 0.6)
+      .map(group => {
+        const phrase = group.text.toUpperCase();
+        const label = CLUSTER_LABELS.find(l => l.pattern.test(phrase));
+        return label ? Object.assign(group, { kind: label.kind }) : null;
+      })
+      .filter(Boolean);
+
+    for (const label of labels) {
+      let nearest = null;
+      let nearestDistance = MAX_LINK_DISTANCE;
+      for (const number of numbers) {
+        const distance = linkDistance(label, number);
+        if (distance < nearestDistance) {
+          nearest = number;
+          nearestDistance = distance;
+        }
+      }
+      if (nearest) {
+        nearest.labels.push(label);
+      }
+    }
+
+    const largest = Math.max(0, ...numbers.filter(n => !n.hasDecimal).map(n => n.value));
+
+    for (const number of numbers) {
+      number.score = ODOMETER_DIGIT_SCORES[number.digits] || 0;
+      // Trip meters show tenths, odometers almost never do
+      if (number.hasDecimal && !number.tenthsWheel) number.score -= 30;
+      if (!number.hasDecimal && number.value === largest) number.score += 10;
+      for (const label of number.labels) {
+        number.score += CLUSTER_LABEL_SCORES[label.kind];
+      }
+      const unitLabel = number.labels.find(l => l.kind === 'unit');
+      number.unit = unitLabel ? (/KM/i.test(unitLabel.text) ? 'km' : 'mi') : null;
+    }
+
+    return numbers.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * The reading of a drum caught mid-roll: the digit that comes first, whichever half is on top
+   * Returns null when the two halves are not neighbouring digits
+   */
+  function getRollingDigit(top, bottom) {
+    if ((top + 1) % 10 === bottom) return top;
+    if ((bottom + 1) % 10 === top) return bottom;
+    return null;
+  }
+
+  /**
+   * Read a mechanical odometer from the digits around the best candidate
+   * - A drum caught mid-roll shows as two half digits stacked in one column
+   * - The tenths wheel is a lone digit just right of the reading, or a 7th digit, and is dropped
+   * @returns {{value: number, confidence: number, note: object|null}}
+   */
+  function readMechanicalDrums(best, tokens) {
+    let digits = best.text.split('.')[0];
+    let confidence = best.confidence;
+    const notes = [];
+    let conflict = false;
+
+    const height = boxHeight(best.box);
+    const digitWidth = (best.box.x1 - best.box.x0) / best.text.length;
+    const lastDigit = { x0: best.box.x1 - digitWidth, x1: best.box.x1 };
+    const loneDigits = tokens.filter(t => /^\d$/.test(t.text));
+    const overlapsX = (a, b) => Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0) > 0;
+
+    const readRoll = (top, bottom) => {
+      const rolled = getRollingDigit(parseInt(top, 10), parseInt(bottom, 10));
+      confidence = Math.min(confidence, rolled === null ? 40 : 60);
+      conflict = conflict || rolled === null;
+      const digit = rolled === null ? top : String(rolled);
+      notes.push(rolled === null
+        ? 'Last drum was mid-roll between ' + top + ' and ' + bottom + ', check it'
+        : 'Last drum was mid-roll, read as ' + digit);
+      return digit;
+    };
+
+    // Half digit above or below the reading's last digit
+    const stacked = loneDigits.find(t => overlapsX(t.box, lastDigit) &&
+      !isSameRow(t.box, best.box) &&
+      Math.max(t.box.y0 - best.box.y1, best.box.y0 - t.box.y1) <= height);
+    if (stacked) {
+      const [top, bottom] = stacked.box.y0 < best.box.y0
+        ? [stacked.text, digits.slice(-1)]
+        : [digits.slice(-1), stacked.text];
+      digits = digits.slice(0, -1) + readRoll(top, bottom);
+    }
+
+    // Columns of lone digits just right of the reading: a stacked pair is a rolling drum,
+    // a single digit is the tenths wheel
+    const trailing = loneDigits
+      .filter(t => t !== stacked &&
+        t.box.x0 >= best.box.x1 - digitWidth / 2 &&
+        t.box.x0 - best.box.x1 < 2 * height &&
+        t.box.y1 > best.box.y0 - height && t.box.y0 < best.box.y1 + height)
+      .sort((a, b) => a.box.x0 - b.box.x0);
+
+    const columns = [];
+    for (const token of trailing) {
+      const column = columns.find(c => overlapsX(c[0].box, token.box));
+      if (column) column.push(token);
+      else columns.push([token]);
+    }
+
+    let tenths = null;
+    for (const column of columns) {
+      if (column.length >= 2 && !stacked && tenths === null) {
+        column.sort((a, b) => a.box.y0 - b.box.y0);
+        digits += readRoll(column[0].text, column[1].text);
+      } else {
+        tenths = column[0].text;
+        break;
+      }
+    }
+
+    // "04523.7" or "0452378": the tenths wheel read as part of the number
+    if (tenths === null && best.hasDecimal) {
+      tenths = best.text.split('.')[1];
+    } else if (tenths === null && digits.length === 7) {
+      tenths = digits.slice(-1);
+      digits = digits.slice(0, -1);
+      confidence = Math.min(confidence, 60);
+    }
+    if (tenths !== null) {
+      notes.push('Tenths wheel (' + tenths + ') left off');
+    }
+
+    return {
+      value: parseInt(digits, 10),
+      confidence,
+      note: notes.length
+        ? { kind: conflict ? 'conflict' : (confidence < best.confidence ? 'repaired' : 'info'), text: notes.join('. ') }
+        : null
+    };
+  }
+
+  /**
+   * Parse odometer data from OCR text
+   * @param {object} ocrResult - {text, lines} from any OCR engine
+   * @param {object} [options] - {unitSystem: 'us'|'metric', locale, odometerType}, defaults to the saved settings
+   * The reading stays in `miles`; `distanceUnit` says whether it is mi or km.
+   * `trip` is the trip meter, when the photo shows one, for checking distance since the last fill-up.
+   */
+  function parseOdometerData(ocrResult, options = {}) {
+    const units = UNIT_SYSTEMS[options.unitSystem] || UNIT_SYSTEMS[DEFAULT_OPTIONS.unitSystem];
+    const locale = LOCALES[options.locale] ? options.locale : DEFAULT_OPTIONS.locale;
+    const mechanical = (options.odometerType || DEFAULT_OPTIONS.odometerType) === 'mechanical';
+    debugLog('Parsing odometer data from text:', ocrResult.text);
+
+    // "123,456 mi" and "123.456 km" are one reading
+    const text = cleanOdometerBars(normalizeLocaleText(ocrResult.text, locale, { groupedIntegers: true }).text);
+
+    // Word geometry when the engine has it, otherwise the text's own rows and columns
+    let tokens = getLayoutTokens(ocrResult.lines, locale, { groupedIntegers: true })
+      .map(token => Object.assign(token, { text: cleanOdometerBars(token.text) }));
+    if (tokens.length === 0) {
+      tokens = getTextTokens(text);
+    }
+
+    const candidates = scoreClusterNumbers(tokens, mechanical);
+    debugLog('Odometer candidates:', candidates.slice(0, 5).map(c => ({
+      text: c.text, score: c.score, labels: c.labels.map(l => l.text)
+    })));
+
+    let miles = null;
+    let confidence = 0;
+    let note = null;
+    let distanceUnit = null;
+
+    // Mechanical odometers may carry the tenths wheel as a decimal ("04523.7")
+    const best = candidates.find(c => (!c.hasDecimal || (mechanical && c.tenthsWheel)) && c.score >= MIN_ODOMETER_SCORE);
+    if (best) {
+      miles = best.value;
+      confidence = best.confidence;
+      distanceUnit = best.unit;
+
+      if (mechanical) {
+        ({ value: miles, confidence, note } = readMechanicalDrums(best, tokens));
+      }
+
+      // A close runner-up, or a short reading nothing vouches for, needs checking
+      const runnerUp = candidates.find(c => c !== best);
+      const labelled = best.labels.some(l => l.kind === 'odo' || l.kind === 'unit');
+      if ((runnerUp && best.score - runnerUp.score < 20) || (!labelled && best.digits < 5)) {
+        confidence = Math.min(confidence, 60);
+      }
+    }
+
+    // Other readings worth offering: whole numbers nothing marked as trip, range or economy
+    const found = candidates
+      .filter(c => (!c.hasDecimal || c.tenthsWheel) && c.score > 0)
+      .map(c => {
+        const index = text.indexOf(c.text);
+        const match = index >= 0 ? Object.assign([c.text], { index }) : null;
+        const labelled = c.labels.some(l => l.kind === 'odo' || l.kind === 'unit');
+        return makeCandidate(Math.floor(c.value), labelled ? 'label' : 'digits', match, Math.min(99, c.score));
+      });
+    const milesCandidates = rankCandidates({ value: miles, note }, found, 0);
+
+    const tripCandidate = candidates.find(c => c !== best && c.labels.some(l => l.kind === 'trip'));
+    const trip = tripCandidate
+      ? { value: tripCandidate.value, confidence: tripCandidate.confidence }
+      : { value: null, confidence: 0 };
+
+    // A printed unit beats the setting (a US car driven in Canada still reads miles)
+    if (!distanceUnit) {
+      distanceUnit = units.distance.unit;
+      if (/\d\s*km\b|\bkm\b/i.test(text)) {
+        distanceUnit = 'km';
+      } else if (/\d\s*mi\b|\b(?:mi|miles)\b/i.test(text)) {
+        distanceUnit = 'mi';
+      }
+    }
+
+    debugLog('Odometer data parsed:', { miles, trip: trip.value, distanceUnit });
+
+    return {
+      miles: Object.assign({ value: miles, confidence }, note ? { note } : {}, { candidates: milesCandidates }),
+      trip,
+      distanceUnit
+    };
+  }
+
+  // Ensemble voting: each extra engine that agrees adds this much confidence,
+  // each one that reads something else takes this much away
+  const ENSEMBLE_AGREE_BONUS = 10;
+  const ENSEMBLE_CONFLICT_PENALTY = 20;
+
+  // Score of another engine's reading offered as an alternative in review
+  const ENSEMBLE_CANDIDATE_SCORE = 60;
+
+  /**
+   * Fuse one field across engines' parses by agreement voting
+   * Readings are grouped by value and each group weighed by its engines' confidence;
+   * the winning field keeps its note and candidates, with the votes attached.
+   * @param {string} field - Field name
+   * @param {Array<{engine: string, data: object}>} parses - Each engine's parse
+   * @returns {object} The fused field
+   */
+  function voteField(field, parses) {
+    const votes = parses
+      .filter(p => p.data[field] && p.data[field].value !== null && p.data[field].value !== undefined)
+      .map(p => ({ engine: p.engine, value: p.data[field].value, confidence: p.data[field].confidence }));
+
+    if (votes.length === 0) {
+      return Object.assign({}, parses[0].data[field], { votes });
+    }
+
+    const groups = [];
+    for (const vote of votes) {
+      const group = groups.find(g => g.value === vote.value);
+      if (group) {
+        group.votes.push(vote);
+        group.weight += Math.max(1, vote.confidence);
+      } else {
+        groups.push({ value: vote.value, votes: [vote], weight: Math.max(1, vote.confidence) });
+      }
+    }
+    // Ties go to the engine tried first
+    const winner = groups.reduce((best, g) => g.weight > best.weight ? g : best);
+
+    const agreeing = winner.votes.length;
+    const dissenting = votes.length - agreeing;
+    const top = Math.max(...winner.votes.map(v => v.confidence));
+    const confidence = Math.max(10, Math.min(99,
+      top + ENSEMBLE_AGREE_BONUS * (agreeing - 1) - ENSEMBLE_CONFLICT_PENALTY * dissenting));
+
+    const source = parses.find(p => p.engine === winner.votes[0].engine).data[field];
+    const fused = Object.assign({}, source, { value: winner.value, confidence, votes });
+
+    if (dissenting > 0) {
+      const others = groups
+        .filter(g => g !== winner)
+        .map(g => `${g.votes.map(v => v.engine).join(' and ')} read ${g.value}`);
+      if (!fused.note || fused.note.kind !== 'conflict') {
+        fused.note = { kind: 'conflict', text: `OCR engines disagree: ${others.join(', ')}` };
+      }
+      if (fused.candidates) {
+        fused.candidates = fused.candidates.slice();
+        for (const g of groups) {
+          if (g !== winner && !fused.candidates.some(c => c.value === g.value)) {
+            fused.candidates.push(makeCandidate(g.value, 'engine', null, ENSEMBLE_CANDIDATE_SCORE));
+          }
+        }
+        fused.candidates = fused.candidates.slice(0, MAX_CANDIDATES);
+      }
+    }
+
+    debugLog('Ensemble votes for ' + field + ':', {
+      votes: votes.map(v => `${v.engine}=${v.value} (${v.confidence}%)`),
+      winner: winner.value,
+      confidence
+    });
+
+    return fused;
+  }
+
+  /**
+   * Parse a photo with `parse`, fusing the given fields across an ensemble's readings
+   * Readings that don't parse (by default: none of the fields found) get no vote.
+   * Without an ensemble (or with one usable reading) this is just that reading's parse.
+   * @param {function} [isUsable] - Whether a reading's parse may vote
+   */
+  function parseWithVotes(ocrResult, parse, fields, options, isUsable) {
+    const readings = ocrResult.ensemble || [];
+    if (readings.length < 2) {
+      return parse(ocrResult, options);
+    }
+
+    const usable = isUsable || (data => fields.some(field => data[field] && data[field].value !== null && data[field].value !== undefined));
+    const parses = readings
+      .map(reading => ({ engine: reading.engine, data: parse(reading, options) }))
+      .filter(p => usable(p.data));
+    if (parses.length < 2) {
+      debugLog('Ensemble: fewer than two readings parse, no vote', { usable: parses.map(p => p.engine) });
+      return parses.length ? parses[0].data : parse(ocrResult, options);
+    }
+
+    const fused = Object.assign({}, parses[0].data);
+    for (const field of fields) {
+      fused[field] = voteField(field, parses);
+    }
+    return fused;
+  }
+
+  /**
+   * Parse pump data fused across an ensemble's readings
+   * Each engine's parse reconciles its own readings; the fused triad is checked again.
+   * A reading with fewer than two of gallons, price and total (status 'incomplete') gets no vote.
+   */
+  function parsePumpVotes(ocrResult, options) {
+    const fused = parseWithVotes(ocrResult, parsePumpData, ['gallons', 'pricePerGallon', 'total', 'grade'], options,
+      data => data.reconciliation.status !== 'incomplete');
+    if (!fused.gallons.votes) return fused;
+
+    const { gallons, pricePerGallon, total } = fused;
+    if (gallons.value && pricePerGallon.value && total.value) {
+      fused.reconciliation = isTriadConsistent(gallons.value, pricePerGallon.value, total.value)
+        ? { status: 'consistent' }
+        : { status: 'conflict' };
+    }
+    return fused;
+  }
+
+  // Below this score a photo is not called any type
+  const MIN_CLASSIFY_SCORE = 30;
+
+  /**
+   * Decide whether a photo shows a pump, an odometer or a receipt
+   * Scores text features (labels, currency), layout (kinds of numbers) and whether each
+   * parser makes sense of the photo; a 5-digit pump ID no longer outweighs gallons x price = total
+   * @param {object} ocrResult - {text, lines} from any OCR engine; with `ensemble`,
+   *   each parser's fields are voted on across the engines' readings
+   * @param {object} [options] - Passed to the parsers
+   * @returns {{type: string, confidence: number, reason: string, scores: object, parsed: object}}
+   *   type is 'pump', 'odometer', 'receipt' or 'unknown'; parsed holds each parser's result
+   */
+  function classifyPhoto(ocrResult, options = {}) {
+    const locale = LOCALES[options.locale] ? options.locale : DEFAULT_OPTIONS.locale;
+    const text = normalizeLocaleText(ocrResult.text || '', locale).text.toUpperCase();
+    const parsed = {
+      pump: parsePumpVotes(ocrResult, options),
+      odometer: parseWithVotes(ocrResult, parseOdometerData, ['miles', 'trip'], options),
+      receipt: parseWithVotes(ocrResult, parseReceiptData,
+        ['gallons', 'pricePerGallon', 'total', 'grade', 'dateTime', 'station'], options)
+    };
+
+    const evidence = { pump: [], odometer: [], receipt: [] };
+    const add = (type, points, reason) => evidence[type].push({ points, reason });
+
+    // Text features
+    if (/GAL|LITRE|LITER|LTR|VOLUME/.test(text)) add('pump', 25, 'volume label');
+    if (/PRICE|PER\s*(?:GAL|L\b)|\/\s*(?:GAL|L)\b|PPG/.test(text)) add('pump', 20, 'price label');
+    if (/SALE|AMOUNT|DOLLARS/.test(text)) add('pump', 15, 'sale label');
+    if (text.includes('$')) add('pump', 10, 'currency sign');
+    if (/ODO/.test(text)) add('odometer', 40, 'ODO label');
+    if (/TRIP|RANGE|\bDTE\b|°/.test(text)) add('odometer', 20, 'cluster readouts');
+    if (/\d\s*(?:KM|MI|MILES)\b/.test(text)) add('odometer', 20, 'distance unit');
+    // Receipts repeat the pump's labels, but pumps never print card or approval lines
+    const receiptMarkers = countReceiptMarkers(ocrResult.text || '');
+    if (receiptMarkers >= 2) {
+      add('receipt', receiptMarkers * 20, 'receipt wording');
+      add('pump', receiptMarkers * -15, 'receipt wording');
+    }
+
+    // Layout: pumps show decimal amounts, odometers a long whole number
+    const decimals = (text.match(/\b\d{1,3}\.\d{2,3}\b/g) || []).length;
+    if (decimals >= 2) add('pump', Math.min(30, decimals * 10), decimals + ' decimal amounts');
+    if (decimals === 0 && /\b\d{4,7}\b/.test(text)) add('odometer', 25, 'whole number, no decimals');
+    if ((ocrResult.text || '').split('\n').filter(line => line.trim()).length >= 8) add('receipt', 15, 'many text lines');
+
+    // Parse success
+    const status = parsed.pump.reconciliation.status;
+    if (status === 'consistent' || status === 'repaired') add('pump', 50, 'volume × price matches total');
+    // Volume and total whose ratio is a price a pump shows outweigh the digit heuristics ("14997\n5472")
+    else if (status === 'computed' && parsed.pump.reconciliation.field === 'pricePerGallon') add('pump', 45, 'volume and total give a plausible price');
+    else if (status === 'computed') add('pump', 20, 'two of volume, price and total');
+    const receiptStatus = parsed.receipt.reconciliation.status;
+    if (receiptStatus === 'consistent' || receiptStatus === 'repaired') add('receipt', 30, 'receipt lines add up');
+    if (parsed.receipt.station.confidence >= 80) add('receipt', 15, 'station name');
+    if (parsed.odometer.miles.value) {
+      const best = parsed.odometer.miles.candidates[0];
+      add('odometer', best && best.source.rule === 'label' ? 30 : 15, 'odometer reading found');
+    }
+
+    const scores = {};
+    for (const type of Object.keys(evidence)) {
+      scores[type] = evidence[type].reduce((sum, e) => sum + e.points, 0);
+    }
+
+    const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+    const [best, second] = ranked;
+    if (scores[best] < MIN_CLASSIFY_SCORE) {
+      return { type: 'unknown', confidence: 0, reason: 'no pump, odometer or receipt features', scores, parsed };
+    }
+
+    const confidence = Math.round(100 * scores[best] / (scores[best] + scores[second] + MIN_CLASSIFY_SCORE));
+    const reason = evidence[best]
+      .slice()
+      .sort((a, b) => b.points - a.points)
+      .slice(0, 3)
+      .map(e => e.reason)
+      .join(', ');
+
+    debugLog('Photo classified:', { type: best, confidence, scores });
+
+    return { type: best, confidence, reason, scores, parsed };
+  }
+
+  // A photo needs at least this classifier score to be used as the pump or odometer
+  const MIN_ROLE_SCORE = 30;
+
+  // Assignments of two photos scoring within this of each other are a tie
+  const ROLE_SCORE_MARGIN = 15;
+
+  /**
+   * Pick the photo for each role so the summed classifier scores are highest
+   * A photo only takes a role it scored at least MIN_ROLE_SCORE for (-1 = no photo).
+   * When the best pump/odometer pairings score within ROLE_SCORE_MARGIN, upload order
+   * decides: the first photo is the pump.
+   * @param {Array<object>} classifications - From classifyPhoto, in upload order
+   * @returns {{pumpIndex: number, odometerIndex: number, score: number}}
+   */
+  function assignPhotos(classifications) {
+    const pumpScore = c => Math.max(c.scores.pump, c.scores.receipt);
+    const options = [];
+
+    for (let pumpIndex = -1; pumpIndex < classifications.length; pumpIndex++) {
+      for (let odometerIndex = -1; odometerIndex < classifications.length; odometerIndex++) {
+        if (pumpIndex >= 0 && pumpIndex === odometerIndex) continue;
+        const pump = pumpIndex >= 0 ? pumpScore(classifications[pumpIndex]) : 0;
+        const odometer = odometerIndex >= 0 ? classifications[odometerIndex].scores.odometer : 0;
+        if ((pumpIndex >= 0 && pump < MIN_ROLE_SCORE) || (odometerIndex >= 0 && odometer < MIN_ROLE_SCORE)) continue;
+        options.push({ pumpIndex, odometerIndex, score: pump + odometer });
+      }
+    }
+
+    // Stable sort: equal scores keep loop order
+    options.sort((a, b) => b.score - a.score);
+    const best = options[0];
+    if (!best || best.score === 0) {
+      return { pumpIndex: -1, odometerIndex: -1, score: 0 };
+    }
+
+    const inOrder = options.find(option =>
+      option.pumpIndex >= 0 && option.odometerIndex > option.pumpIndex &&
+      best.score - option.score < ROLE_SCORE_MARGIN);
+    if (best.pumpIndex >= 0 && best.odometerIndex >= 0 && inOrder) {
+      debugLog('Photo roles too close to call, first photo is the pump:', { best, inOrder });
+      return inOrder;
+    }
+    return best;
+  }
+
+  // ftyp brands of HEIF still images (iPhones write 'heic'; 'mif1' is the generic one)
+  const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+  /**
+   * Whether a file's bytes are a HEIF image
+   * Goes by content: photos exported as "Most Compatible" keep a .HEIC name but are JPEGs
+   * @param {Uint8Array} bytes - At least the first 12 bytes of the file (a Node Buffer too)
+   */
+  function isHeic(bytes) {
+    if (bytes.length < 12) return false;
+    const text = String.fromCharCode(...bytes.subarray(4, 12));
+    return text.slice(0, 4) === 'ftyp' && HEIF_BRANDS.includes(text.slice(4));
+  }
+
+  /**
+   * Normalize a Vision boundingPoly (Vision omits x/y when they are 0)
+   */
+  function normalizeBoundingPoly(boundingPoly) {
+    if (!boundingPoly || !Array.isArray(boundingPoly.vertices)) {
+      return null;
+    }
+
+    return {
+      vertices: boundingPoly.vertices.map(vertex => ({
+        x: vertex.x || 0,
+        y: vertex.y || 0
+      }))
+    };
+  }
+
+  return {
+    UNIT_SYSTEMS,
+    LOCALES,
+    DEFAULT_OPTIONS,
+    CLEANUP_RULES,
+    setLogger,
+    getCurrencySymbol,
+    normalizeLocaleText,
+    cleanLcdText,
+    normalizeBoundingPoly,
+    isHeic,
+    getBox,
+    boxHeight,
+    isTriadConsistent,
+    parsePumpData,
+    isPlausiblePumpReading,
+    parseReceiptData,
+    parseOdometerData,
+    looksLikeReceipt,
+    detectFuelGrade,
+    classifyPhoto,
+    assignPhotos
+  };
+});
@@ -0,0 +1,33 @@
+/**
+ * Web Worker that preprocesses photos for OCR off the main thread
+ * Message in:  {id, imageData (data URL), pipeline}
+ * Messages out: {id, progress} while filtering, then {id, result (JPEG data URL), steps} or {id, error}
+ */
+
+importScripts('image-filters.js');
+
+self.onmessage = async function(event) {
+  const { id, imageData, pipeline } = event.data;
+
+  try {
+    const blob = await (await fetch(imageData)).blob();
+    const bitmap = await createImageBitmap(blob);
+    const { width, height } = ImageFilters.getTargetSize(bitmap.width, bitmap.height);
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const pixels = ctx.getImageData(0, 0, width, height);
+    const steps = ImageFilters.apply(pixels, pipeline, progress => self.postMessage({ id, progress }));
+    ctx.putImageData(pixels, 0, 0);
+
+    const jpeg = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.9 });
+    self.postMessage({ id, result: new FileReaderSync().readAsDataURL(jpeg), steps });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
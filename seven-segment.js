@@ -0,0 +1,478 @@
+/**
+ * Seven-segment LCD digit decoder
+ * Reads pump displays on the device (works offline, no Vision API)
+ * - Binarizes the image with an Otsu threshold
+ * - Groups segment blobs into digit cells and decodes the lit segments
+ * - Returns {text, confidence, lines} like the other OCR engines
+ * binarize() and decodeBinary() need no DOM, so the Node benchmark loads this as a CommonJS module
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SevenSegment = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Lit segments in order a b c d e f g (top, upper right, lower right, bottom, lower left, upper left, middle)
+  const DIGIT_PATTERNS = {
+    '1111110': '0',
+    '0110000': '1',
+    '1101101': '2',
+    '1111001': '3',
+    '0110011': '4',
+    '1011011': '5',
+    '1011111': '6',
+    '0011111': '6', // 6 without the top bar
+    '1110000': '7',
+    '1110010': '7', // 7 with the upper left bar
+    '1111111': '8',
+    '1111011': '9',
+    '1110011': '9' // 9 without the bottom bar
+  };
+
+  // Where each segment sits in a digit cell, as fractions of its width and height
+  const SEGMENT_REGIONS = [
+    { x0: 0.3, x1: 0.7, y0: 0, y1: 0.15 }, // a
+    { x0: 0.7, x1: 1, y0: 0.2, y1: 0.42 }, // b
+    { x0: 0.7, x1: 1, y0: 0.58, y1: 0.8 }, // c
+    { x0: 0.3, x1: 0.7, y0: 0.85, y1: 1 }, // d
+    { x0: 0, x1: 0.3, y0: 0.58, y1: 0.8 }, // e
+    { x0: 0, x1: 0.3, y0: 0.2, y1: 0.42 }, // f
+    { x0: 0.3, x1: 0.7, y0: 0.42, y1: 0.58 } // g
+  ];
+
+  // A segment counts as lit when this much of its region is foreground
+  const SEGMENT_FILL = 0.3;
+
+  // Italic displays lean right; slants tried when straightening them (x shift per pixel of height)
+  const SLANTS = [-0.1, -0.05, 0, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3];
+
+  // Images are scaled down to this width before decoding
+  const MAX_WIDTH = 1000;
+
+  /**
+   * Threshold that best separates dark and light pixels (Otsu's method)
+   * @param {Uint8Array} gray - Grayscale pixels
+   */
+  function otsuThreshold(gray) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < gray.length; i++) {
+      histogram[gray[i]]++;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = 0;
+    let threshold = 128;
+
+    for (let t = 0; t < 256; t++) {
+      weightBackground += histogram[t];
+      if (weightBackground === 0) continue;
+      const weightForeground = gray.length - weightBackground;
+      if (weightForeground === 0) break;
+
+      sumBackground += t * histogram[t];
+      const meanBackground = sumBackground / weightBackground;
+      const meanForeground = (sum - sumBackground) / weightForeground;
+      const variance = weightBackground * weightForeground * Math.pow(meanBackground - meanForeground, 2);
+      if (variance > best) {
+        best = variance;
+        threshold = t;
+      }
+    }
+
+    return threshold;
+  }
+
+  /**
+   * Turn RGBA pixels into a foreground mask (1 = segment)
+   * Segments are the minority class, so dark-on-light LCDs and lit LEDs both work
+   * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData
+   * @returns {{data: Uint8Array, width: number, height: number}}
+   */
+  function binarize(imageData) {
+    const { data, width, height } = imageData;
+    const gray = new Uint8Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = Math.round(data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114);
+    }
+
+    const threshold = otsuThreshold(gray);
+    let dark = 0;
+    for (let i = 0; i < gray.length; i++) {
+      if (gray[i] <= threshold) dark++;
+    }
+    const darkIsForeground = dark <= gray.length / 2;
+
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+      mask[i] = (gray[i] <= threshold) === darkIsForeground ? 1 : 0;
+    }
+
+    return { data: mask, width, height };
+  }
+
+  /**
+   * Shift each row sideways so a display leaning by `slant` stands upright
+   */
+  function shear(binary, slant) {
+    const { data, width, height } = binary;
+    const sheared = new Uint8Array(width * height);
+    const middle = height / 2;
+
+    for (let y = 0; y < height; y++) {
+      const shift = Math.round(slant * (middle - y));
+      for (let x = 0; x < width; x++) {
+        const from = x + shift;
+        if (from >= 0 && from < width) {
+          sheared[y * width + x] = data[y * width + from];
+        }
+      }
+    }
+
+    return { data: sheared, width, height };
+  }
+
+  /**
+   * Find the slant of italic LCD digits
+   * Upright vertical segments pile up in few columns, so the column histogram is sharpest
+   */
+  function estimateSlant(binary) {
+    let best = 0;
+    let bestSharpness = -1;
+
+    for (const slant of SLANTS) {
+      const { data, width, height } = shear(binary, slant);
+      const columns = new Float64Array(width);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          columns[x] += data[y * width + x];
+        }
+      }
+      const sharpness = columns.reduce((sum, count) => sum + count * count, 0);
+      if (sharpness > bestSharpness) {
+        bestSharpness = sharpness;
+        best = slant;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Find connected foreground blobs (4-connected)
+   */
+  function findComponents(binary) {
+    const { data, width, height } = binary;
+    const labels = new Int32Array(width * height);
+    const components = [];
+    const stack = [];
+
+    for (let start = 0; start < data.length; start++) {
+      if (!data[start] || labels[start]) continue;
+
+      const component = { x0: width, y0: height, x1: 0, y1: 0, area: 0 };
+      labels[start] = components.length + 1;
+      stack.push(start);
+
+      while (stack.length) {
+        const index = stack.pop();
+        const x = index % width;
+        const y = (index - x) / width;
+        component.area++;
+        if (x < component.x0) component.x0 = x;
+        if (x > component.x1) component.x1 = x;
+        if (y < component.y0) component.y0 = y;
+        if (y > component.y1) component.y1 = y;
+
+        const neighbours = [
+          x > 0 ? index - 1 : -1,
+          x < width - 1 ? index + 1 : -1,
+          y > 0 ? index - width : -1,
+          y < height - 1 ? index + width : -1
+        ];
+        for (const next of neighbours) {
+          if (next >= 0 && data[next] && !labels[next]) {
+            labels[next] = components.length + 1;
+            stack.push(next);
+          }
+        }
+      }
+
+      // Convert to exclusive right/bottom edges
+      component.x1++;
+      component.y1++;
+      components.push(component);
+    }
+
+    return components;
+  }
+
+  /**
+   * A decimal point sitting beside a segment; it must stay a cell of its own
+   */
+  function isPointBeside(point, other) {
+    const width = point.x1 - point.x0;
+    const height = point.y1 - point.y0;
+    const squarish = Math.max(width, height) <= 2 * Math.min(width, height);
+    return squarish && Math.max(width, height) < 0.35 * Math.max(other.x1 - other.x0, other.y1 - other.y0);
+  }
+
+  /**
+   * Join segment blobs that belong to one digit into a cell
+   * Segments of a digit are separated by thin gaps; digits by wider ones
+   */
+  function groupIntoCells(components) {
+    const cells = components.map(c => Object.assign({}, c));
+    const gapFor = c => Math.max(2, 0.2 * Math.max(c.x1 - c.x0, c.y1 - c.y0));
+
+    let merged = true;
+    while (merged) {
+      merged = false;
+      for (let i = 0; i < cells.length && !merged; i++) {
+        for (let j = i + 1; j < cells.length; j++) {
+          const a = cells[i];
+          const b = cells[j];
+          const gap = Math.max(gapFor(a), gapFor(b));
+          const dx = Math.max(a.x0, b.x0) - Math.min(a.x1, b.x1);
+          const dy = Math.max(a.y0, b.y0) - Math.min(a.y1, b.y1);
+          if (dx <= gap && dy <= gap && !isPointBeside(a, b) && !isPointBeside(b, a)) {
+            a.x0 = Math.min(a.x0, b.x0);
+            a.y0 = Math.min(a.y0, b.y0);
+            a.x1 = Math.max(a.x1, b.x1);
+            a.y1 = Math.max(a.y1, b.y1);
+            a.area += b.area;
+            cells.splice(j, 1);
+            merged = true;
+            break;
+          }
+        }
+      }
+    }
+
+    return cells;
+  }
+
+  /**
+   * Share of foreground pixels in part of a cell
+   */
+  function fillRatio(binary, cell, region) {
+    const width = cell.x1 - cell.x0;
+    const height = cell.y1 - cell.y0;
+    const x0 = Math.floor(cell.x0 + region.x0 * width);
+    const x1 = Math.max(x0 + 1, Math.ceil(cell.x0 + region.x1 * width));
+    const y0 = Math.floor(cell.y0 + region.y0 * height);
+    const y1 = Math.max(y0 + 1, Math.ceil(cell.y0 + region.y1 * height));
+
+    let lit = 0;
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        lit += binary.data[y * binary.width + x];
+      }
+    }
+    return lit / ((x1 - x0) * (y1 - y0));
+  }
+
+  /**
+   * Decode one digit cell from its lit segments
+   * @returns {{digit: string, confidence: number}|null}
+   */
+  function decodeCell(binary, cell, rowHeight) {
+    const width = cell.x1 - cell.x0;
+    const height = cell.y1 - cell.y0;
+
+    // Only b and c are lit: a narrow full-height bar
+    if (width < 0.25 * height) {
+      return { digit: '1', confidence: height >= 0.65 * rowHeight ? 90 : 70 };
+    }
+
+    const pattern = SEGMENT_REGIONS
+      .map(region => fillRatio(binary, cell, region) >= SEGMENT_FILL ? '1' : '0')
+      .join('');
+
+    if (DIGIT_PATTERNS[pattern]) {
+      return { digit: DIGIT_PATTERNS[pattern], confidence: 95 };
+    }
+
+    // One segment misread: accept the only digit that is one segment away
+    const near = Object.keys(DIGIT_PATTERNS).filter(known =>
+      [...known].filter((bit, i) => bit !== pattern[i]).length === 1);
+    const digits = [...new Set(near.map(known => DIGIT_PATTERNS[known]))];
+    if (digits.length === 1) {
+      return { digit: digits[0], confidence: 60 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Group cells into rows of characters that share a baseline
+   */
+  function groupIntoRows(cells) {
+    const rows = [];
+    const sorted = cells.slice().sort((a, b) => (b.y1 - b.y0) - (a.y1 - a.y0));
+
+    for (const cell of sorted) {
+      const row = rows.find(r => {
+        const overlap = Math.min(r.y1, cell.y1) - Math.max(r.y0, cell.y0);
+        return overlap > 0.5 * Math.min(r.y1 - r.y0, cell.y1 - cell.y0);
+      });
+      if (row) {
+        row.cells.push(cell);
+      } else {
+        rows.push({ y0: cell.y0, y1: cell.y1, cells: [cell] });
+      }
+    }
+
+    return rows.sort((a, b) => a.y0 - b.y0);
+  }
+
+  /**
+   * Decode a row of cells into words of digits and decimal points
+   * @returns {{text, confidence, bbox, words}|null} - null when the row is not a display number
+   */
+  function decodeRow(binary, row) {
+    const rowHeight = row.y1 - row.y0;
+    const digitCells = row.cells.filter(c => c.y1 - c.y0 >= 0.6 * rowHeight);
+    const points = row.cells.filter(c => c.y1 - c.y0 <= 0.3 * rowHeight && c.x1 - c.x0 <= 0.3 * rowHeight);
+
+    const decoded = digitCells
+      .sort((a, b) => a.x0 - b.x0)
+      .map(cell => Object.assign({ cell }, decodeCell(binary, cell, rowHeight)));
+    const digits = decoded.filter(d => d.digit);
+
+    // Printed labels also form rows; keep rows that are mostly digits
+    if (digits.length < 2 || digits.length < 0.7 * decoded.length) {
+      return null;
+    }
+
+    const words = [];
+    let word = null;
+    for (let i = 0; i < digits.length; i++) {
+      const { cell, digit, confidence } = digits[i];
+      const previous = digits[i - 1];
+      if (!word || cell.x0 - previous.cell.x1 > rowHeight) {
+        word = { text: '', confidences: [], bbox: { x0: cell.x0, y0: row.y0, x1: cell.x1, y1: row.y1 } };
+        words.push(word);
+      } else {
+        // Decimal point: a small blob between the digits, level with their bottom third
+        const digitHeight = previous.cell.y1 - previous.cell.y0;
+        const point = points.find(p =>
+          p.x0 >= previous.cell.x1 - 0.2 * digitHeight &&
+          p.x1 <= cell.x0 + 0.2 * digitHeight &&
+          (p.y0 + p.y1) / 2 > previous.cell.y0 + digitHeight * 2 / 3 &&
+          p.y0 < previous.cell.y1 + 0.1 * digitHeight);
+        if (point && !word.text.includes('.')) {
+          word.text += '.';
+        }
+      }
+      word.text += digit;
+      word.confidences.push(confidence);
+      word.bbox.x1 = cell.x1;
+    }
+
+    const toWord = w => ({
+      text: w.text,
+      confidence: Math.min(...w.confidences),
+      bbox: w.bbox
+    });
+
+    const lineWords = words.map(toWord);
+    return {
+      text: lineWords.map(w => w.text).join(' '),
+      confidence: Math.round(lineWords.reduce((sum, w) => sum + w.confidence, 0) / lineWords.length),
+      bbox: {
+        x0: Math.min(...lineWords.map(w => w.bbox.x0)),
+        y0: row.y0,
+        x1: Math.max(...lineWords.map(w => w.bbox.x1)),
+        y1: row.y1
+      },
+      words: lineWords
+    };
+  }
+
+  /**
+   * Decode a foreground mask into display numbers
+   * Italic displays are straightened first; boxes are in the straightened image
+   * @param {{data: Uint8Array, width: number, height: number}} binary - From binarize()
+   * @returns {{text: string, confidence: number, lines: Array}}
+   */
+  function decodeBinary(binary) {
+    const slant = estimateSlant(binary);
+    if (slant !== 0) {
+      binary = shear(binary, slant);
+    }
+
+    const imageArea = binary.width * binary.height;
+    const components = findComponents(binary).filter(c =>
+      c.area >= Math.max(4, imageArea * 0.00002) &&
+      // Display frames and background patches are not segments
+      (c.x1 - c.x0) < binary.width * 0.5 &&
+      (c.y1 - c.y0) < binary.height * 0.9);
+
+    const rows = groupIntoRows(groupIntoCells(components));
+    const lines = rows.map(row => decodeRow(binary, row)).filter(Boolean);
+
+    const confidence = lines.length
+      ? Math.round(lines.reduce((sum, line) => sum + line.confidence, 0) / lines.length)
+      : 0;
+
+    return {
+      text: lines.map(line => line.text).join('\n'),
+      confidence,
+      lines
+    };
+  }
+
+  /**
+   * Read the digits on an LCD photo
+   * @param {string} imageData - Data URL, ideally already contrast-enhanced
+   * @returns {Promise<{text: string, confidence: number, lines: Array}>}
+   */
+  function recognize(imageData) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+
+      img.onerror = function() {
+        reject(new Error('Failed to load image'));
+      };
+
+      img.onload = function() {
+        const scale = Math.min(1, MAX_WIDTH / img.width);
+        const width = Math.round(img.width * scale);
+        const height = Math.round(img.height * scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, width, height);
+
+        const result = decodeBinary(binarize(ctx.getImageData(0, 0, width, height)));
+
+        // Report boxes in the original image's pixels
+        const unscale = box => ({ x0: box.x0 / scale, y0: box.y0 / scale, x1: box.x1 / scale, y1: box.y1 / scale });
+        for (const line of result.lines) {
+          line.bbox = unscale(line.bbox);
+          line.words.forEach(word => { word.bbox = unscale(word.bbox); });
+        }
+
+        resolve(result);
+      };
+
+      img.src = imageData;
+    });
+  }
+
+  return {
+    recognize,
+    binarize,
+    decodeBinary
+  };
+});
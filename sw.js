@@ -3,18 +3,31 @@
  * Enables offline capability after first load
  */
 
-const CACHE_NAME = 'fuelly-ocr-v26';
+const CACHE_NAME = 'fuelly-ocr-v66';
 const urlsToCache = [
   '/',
   '/index.html',
   '/styles.css',
   '/app.js',
+  '/exif.js',
+  '/heic.js',
+  '/image-filters.js',
+  '/preprocess-worker.js',
+  '/seven-segment.js',
+  '/parsers.js',
   '/ocr.js',
+  '/mock-engine.js',
+  '/history.js',
   '/config.js',
   '/manifest.json',
   'https://cdn.jsdelivr.net/npm/tesseract.js@5/dist/tesseract.min.js'
 ];
 
+// Cached the first time they are fetched rather than on install (the HEIC decoder is about 2 MB)
+const cacheOnUse = [
+  'https://cdn.jsdelivr.net/npm/libheif-js@1.23.2/libheif-wasm/libheif-bundle.js'
+];
+
 // Install event - cache assets
 self.addEventListener('install', function(event) {
   event.waitUntil(
@@ -41,7 +54,8 @@ self.addEventListener('fetch', function(event) {
 
         return fetch(fetchRequest).then(function(response) {
           // Check if valid response
-          if (!response || response.status !== 200 || response.type !== 'basic') {
+          if (!response || response.status !== 200 ||
+              (response.type !== 'basic' && !cacheOnUse.includes(event.request.url))) {
             return response;
           }
 
@@ -0,0 +1,565 @@
+// tests/benchmark.js
+// Accuracy benchmark: every test photo through a matrix of OCR engines and preprocessing
+// variants, parsed by the app's parsers. Writes report.json and a static report.html;
+// keep a run's report.json and pass it as --baseline to see what a change did.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Parsers from '../parsers.js';
+import ImageFilters from '../image-filters.js';
+import SevenSegment from '../seven-segment.js';
+import {
+  IMAGES_DIR,
+  locale,
+  loadTestImages,
+  openImage,
+  preprocessImage,
+  matchesExpected,
+  sendToWorker,
+  loadRecording
+} from './runner.js';
+import { importFromWorker, startTesseract } from './worker-modules.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_OUT_DIR = path.join(__dirname, 'benchmark-report');
+
+// Fields the photo file names give, per photo type
+const FIELDS = { pump: ['gallons', 'total'], odometer: ['miles'] };
+
+// Confidence buckets for calibration: [from, to) in percent
+const CONFIDENCE_BUCKETS = [[0, 50], [50, 70], [70, 90], [90, 101]];
+
+// The seven-segment decoder reads images scaled down to this width (as SevenSegment.recognize)
+const SEVEN_SEGMENT_WIDTH = 1000;
+
+const JPEG_QUALITY = 90;
+
+/**
+ * Preprocessing variants: each turns a photo into the RGBA pixels an engine reads
+ * `none`, `ocr` and `tesseract` start from the photo scaled as the app scales it
+ */
+const PREPROCESSING = {
+  // The photo as taken
+  none: async (sharp, filepath) => loadPixels(sharp, filepath),
+
+  // What the runner sends in live and record mode (sharp: upscale, grayscale, contrast, sharpen)
+  runner: async (sharp, filepath) => {
+    const dataUrl = await preprocessImage(filepath);
+    return decodePixels(sharp, Buffer.from(dataUrl.split(',')[1], 'base64'));
+  },
+
+  // The app's adaptive filters before Vision and the seven-segment decoder
+  ocr: async (sharp, filepath) => {
+    const pixels = await loadPixels(sharp, filepath);
+    pixels.steps = ImageFilters.apply(pixels, 'ocr');
+    return pixels;
+  },
+
+  // The app's adaptive filters before Tesseract
+  tesseract: async (sharp, filepath) => {
+    const pixels = await loadPixels(sharp, filepath);
+    pixels.steps = ImageFilters.apply(pixels, 'tesseract');
+    return pixels;
+  }
+};
+
+/**
+ * OCR engines: `available` says why an engine can't run (or null), `extract` reads pixels
+ * into {text, lines} for the parsers (null skips the photo). `preprocessing` limits an
+ * engine to some variants; `usesPixels: false` skips preparing them.
+ */
+const ENGINES = {
+  // The deployed Cloudflare Worker (Google Vision)
+  worker: {
+    available: async context => context.workerUrl ? null : 'no worker URL (pass one or set FUELLY_WORKER_URL)',
+    extract: async (context, pixels) => {
+      const jpeg = await encodeJpeg(context.sharp, pixels);
+      const result = await sendToWorker(context.workerUrl, `data:image/jpeg;base64,${jpeg.toString('base64')}`);
+      return { text: result.data?.text || '', lines: result.data?.lines || [] };
+    }
+  },
+
+  // The worker responses saved by `runner.js --record`, so a run needs no network
+  // (the transcribed ones were typed from the photos: they measure the parsers, not OCR)
+  replay: {
+    preprocessing: ['runner'],
+    usesPixels: false,
+    available: async context => context.tests.some(test => loadRecording(test, path.join(IMAGES_DIR, test.filename)))
+      ? null
+      : 'no recorded worker responses (run runner.js --record)',
+    extract: async (context, pixels, test) => {
+      const recording = loadRecording(test, path.join(IMAGES_DIR, test.filename));
+      if (!recording) return null;
+      const result = recording.response;
+      return { text: result.data?.text || '', lines: result.data?.lines || [] };
+    }
+  },
+
+  // Tesseract.js full-frame pass (the app's digit-region second pass needs a canvas)
+  tesseract: {
+    available: async context => {
+      // Started here so a missing package or language data skips the engine
+      try {
+        context.tesseractWorker = await startTesseract();
+        await context.tesseractWorker.setParameters({ preserve_interword_spaces: '1' });
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    },
+    extract: async (context, pixels) => {
+      const { data } = await context.tesseractWorker.recognize(await encodeJpeg(context.sharp, pixels));
+      return { text: data.text, lines: data.lines || [] };
+    }
+  },
+
+  // The on-device LCD decoder
+  'seven-segment': {
+    available: async () => null,
+    extract: async (context, pixels) => {
+      const scaled = await scaleDown(context.sharp, pixels, SEVEN_SEGMENT_WIDTH);
+      return SevenSegment.decodeBinary(SevenSegment.binarize(scaled));
+    }
+  }
+};
+
+/**
+ * Read a photo into RGBA pixels at the size the app filters it
+ */
+async function loadPixels(sharp, filepath) {
+  const image = await openImage(sharp, filepath);
+  const { width, height } = await image.metadata();
+  const target = ImageFilters.getTargetSize(width, height);
+  const { data, info } = await image
+    .resize(target.width, target.height)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+}
+
+/**
+ * Decode an encoded image to RGBA pixels
+ */
+async function decodePixels(sharp, buffer) {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+}
+
+/**
+ * Open RGBA pixels with sharp
+ */
+function fromPixels(sharp, pixels) {
+  return sharp(Buffer.from(pixels.data.buffer, pixels.data.byteOffset, pixels.data.length), {
+    raw: { width: pixels.width, height: pixels.height, channels: 4 }
+  });
+}
+
+/**
+ * Encode RGBA pixels as a JPEG
+ */
+function encodeJpeg(sharp, pixels) {
+  return fromPixels(sharp, pixels).jpeg({ quality: JPEG_QUALITY }).toBuffer();
+}
+
+/**
+ * Scale RGBA pixels down to at most `width` wide
+ */
+async function scaleDown(sharp, pixels, width) {
+  if (pixels.width <= width) return pixels;
+  return decodePixels(sharp, await fromPixels(sharp, pixels).resize(width).png().toBuffer());
+}
+
+/**
+ * Parse an OCR result for a test photo and compare each field with its file name
+ * @returns {Object<string, {expected: number, value: number|null, confidence: number, exact: boolean}>}
+ */
+function scoreReading(test, ocrResult) {
+  const options = { locale, unitSystem: 'us' };
+  const parsed = test.type === 'pump'
+    ? Parsers.parsePumpData(ocrResult, options)
+    : Parsers.parseOdometerData(ocrResult, options);
+
+  const fields = {};
+  for (const field of FIELDS[test.type]) {
+    if (test[field] === undefined) continue;
+    const { value, confidence } = parsed[field];
+    fields[field] = {
+      expected: test[field],
+      value: value ?? null,
+      confidence: confidence || 0,
+      exact: matchesExpected(field, value, test[field])
+    };
+  }
+  return fields;
+}
+
+/**
+ * Mean, median and 90th percentile of some timings (ms), or null without any
+ */
+function summarizeTimings(timings) {
+  if (timings.length === 0) return null;
+  const sorted = timings.slice().sort((a, b) => a - b);
+  const at = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return {
+    mean: round(timings.reduce((sum, t) => sum + t, 0) / timings.length, 1),
+    median: round(at(0.5), 1),
+    p90: round(at(0.9), 1)
+  };
+}
+
+/**
+ * Round to some decimals (keeps the JSON readable and diffable)
+ */
+function round(value, decimals) {
+  return Math.round(value * 10 ** decimals) / 10 ** decimals;
+}
+
+/**
+ * Exact-match rate, numeric error and confidence calibration of one field in one cell
+ * Calibration compares each bucket's mean confidence with how often its readings were
+ * exact; `ece` is the gap averaged over all readings (0 is perfectly calibrated)
+ */
+function summarizeField(readings) {
+  const found = readings.filter(r => r.value !== null);
+  const errors = found.map(r => Math.abs(r.value - r.expected));
+
+  const buckets = CONFIDENCE_BUCKETS.map(([from, to]) => {
+    const inBucket = readings.filter(r => r.confidence >= from && r.confidence < to);
+    return {
+      range: `${from}-${Math.min(to, 100) - 1}`,
+      count: inBucket.length,
+      meanConfidence: inBucket.length ? round(inBucket.reduce((sum, r) => sum + r.confidence, 0) / inBucket.length, 1) : null,
+      exactRate: inBucket.length ? round(inBucket.filter(r => r.exact).length / inBucket.length, 3) : null
+    };
+  });
+  const ece = readings.length
+    ? buckets
+      .filter(b => b.count > 0)
+      .reduce((sum, b) => sum + (b.count / readings.length) * Math.abs(b.exactRate - b.meanConfidence / 100), 0)
+    : null;
+
+  return {
+    count: readings.length,
+    exact: readings.filter(r => r.exact).length,
+    exactRate: readings.length ? round(readings.filter(r => r.exact).length / readings.length, 3) : null,
+    foundRate: readings.length ? round(found.length / readings.length, 3) : null,
+    meanAbsError: errors.length ? round(errors.reduce((sum, e) => sum + e, 0) / errors.length, 3) : null,
+    medianAbsError: errors.length ? round(errors.slice().sort((a, b) => a - b)[Math.floor(errors.length / 2)], 3) : null,
+    calibration: { buckets, ece: ece === null ? null : round(ece, 3) }
+  };
+}
+
+/**
+ * Run the benchmark matrix
+ * @param {object} options
+ * @param {string|null} options.workerUrl - Worker for the `worker` engine
+ * @param {string[]} options.engines - Keys of ENGINES
+ * @param {string[]} options.preprocessing - Keys of PREPROCESSING
+ * @returns {Promise<object>} The report (see README "Benchmark")
+ */
+export async function runBenchmark({ workerUrl, engines, preprocessing }) {
+  for (const name of engines) {
+    if (!ENGINES[name]) throw new Error('Unknown OCR engine: ' + name);
+  }
+  for (const name of preprocessing) {
+    if (!PREPROCESSING[name]) throw new Error('Unknown preprocessing variant: ' + name);
+  }
+
+  // Loaded here like the runner, so a missing native build fails with a clear message
+  const { default: sharp } = await importFromWorker('sharp');
+  const tests = loadTestImages().filter(test => FIELDS[test.type]);
+  const context = { sharp, workerUrl, tests };
+
+  const skipped = [];
+  const cells = [];
+  for (const engine of engines) {
+    const reason = await ENGINES[engine].available(context);
+    if (reason) {
+      skipped.push({ engine, reason });
+      console.log(`Skipping ${engine}: ${reason}`);
+      continue;
+    }
+    for (const variant of preprocessing) {
+      if (!ENGINES[engine].preprocessing || ENGINES[engine].preprocessing.includes(variant)) {
+        cells.push({ engine, preprocessing: variant });
+      }
+    }
+  }
+
+  console.log(`${tests.length} photos x ${cells.length} engine/preprocessing pairs\n`);
+
+  const results = [];
+  for (const test of tests) {
+    const filepath = path.join(IMAGES_DIR, test.filename);
+    console.log(test.filename);
+
+    // Each variant is computed once per photo and shared by the engines
+    const prepared = {};
+    const needed = cells.filter(c => ENGINES[c.engine].usesPixels !== false).map(c => c.preprocessing);
+    for (const variant of new Set(needed)) {
+      const started = performance.now();
+      try {
+        prepared[variant] = { pixels: await PREPROCESSING[variant](sharp, filepath) };
+      } catch (error) {
+        prepared[variant] = { error: error.message };
+      }
+      prepared[variant].ms = performance.now() - started;
+    }
+
+    for (const cell of cells) {
+      const input = ENGINES[cell.engine].usesPixels === false
+        ? { pixels: null, ms: null }
+        : prepared[cell.preprocessing];
+      const result = {
+        image: test.filename,
+        type: test.type,
+        engine: cell.engine,
+        preprocessing: cell.preprocessing,
+        preprocessMs: input.ms === null ? null : round(input.ms, 1),
+        ocrMs: null,
+        error: input.error || null,
+        fields: {}
+      };
+
+      if (!input.error) {
+        const started = performance.now();
+        try {
+          const ocrResult = await ENGINES[cell.engine].extract(context, input.pixels, test);
+          if (ocrResult === null) {
+            console.log(`  ${cell.engine}/${cell.preprocessing}: skipped`);
+            continue;
+          }
+          // Replayed responses took no time to read
+          result.ocrMs = cell.engine === 'replay' ? null : round(performance.now() - started, 1);
+          result.text = ocrResult.text;
+          result.fields = scoreReading(test, ocrResult);
+        } catch (error) {
+          result.error = error.message;
+        }
+      }
+
+      // A failed read counts as every field not found
+      if (result.error) {
+        for (const field of FIELDS[test.type]) {
+          if (test[field] !== undefined) {
+            result.fields[field] = { expected: test[field], value: null, confidence: 0, exact: false };
+          }
+        }
+      }
+
+      const marks = Object.entries(result.fields).map(([field, r]) => `${field} ${r.exact ? '✓' : '✗'}`).join(', ');
+      console.log(`  ${cell.engine}/${cell.preprocessing}: ${result.error ? `ERROR ${result.error}` : marks}`);
+      results.push(result);
+    }
+  }
+
+  if (context.tesseractWorker) {
+    await context.tesseractWorker.terminate();
+  }
+
+  const summary = cells.map(cell => {
+    const mine = results.filter(r => r.engine === cell.engine && r.preprocessing === cell.preprocessing);
+    const fields = {};
+    for (const field of [...new Set(Object.values(FIELDS).flat())]) {
+      const readings = mine.map(r => r.fields[field]).filter(Boolean);
+      if (readings.length > 0) {
+        fields[field] = summarizeField(readings);
+      }
+    }
+    const all = Object.values(fields).reduce((sum, f) => ({ count: sum.count + f.count, exact: sum.exact + f.exact }), { count: 0, exact: 0 });
+    return {
+      engine: cell.engine,
+      preprocessing: cell.preprocessing,
+      exactRate: all.count ? round(all.exact / all.count, 3) : null,
+      errors: mine.filter(r => r.error).length,
+      fields,
+      latency: {
+        preprocess: summarizeTimings(mine.map(r => r.preprocessMs).filter(ms => ms !== null)),
+        ocr: summarizeTimings(mine.map(r => r.ocrMs).filter(ms => ms !== null))
+      }
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    locale,
+    photos: tests.length,
+    engines,
+    preprocessing,
+    skipped,
+    summary,
+    results
+  };
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a rate as a percentage, with the change from the baseline if there is one
+ */
+function formatRate(rate, baselineRate) {
+  if (rate === null || rate === undefined) return '–';
+  const text = `${(100 * rate).toFixed(1)}%`;
+  if (baselineRate === null || baselineRate === undefined) return text;
+  const delta = 100 * (rate - baselineRate);
+  if (Math.abs(delta) < 0.05) return `${text} <span class="same">±0</span>`;
+  return `${text} <span class="${delta > 0 ? 'better' : 'worse'}">${delta > 0 ? '+' : ''}${delta.toFixed(1)}</span>`;
+}
+
+/**
+ * Format a number or a dash
+ */
+function formatNumber(value, decimals) {
+  return value === null || value === undefined ? '–' : value.toFixed(decimals);
+}
+
+/**
+ * Render the report as a static HTML page (no scripts, so two runs diff line by line)
+ * @param {object} report - From runBenchmark
+ * @param {object} [baseline] - An earlier report: exact-match rates show the change
+ */
+export function renderHtml(report, baseline) {
+  const fields = [...new Set(report.summary.flatMap(cell => Object.keys(cell.fields)))];
+  const baselineCell = cell => baseline && baseline.summary.find(b => b.engine === cell.engine && b.preprocessing === cell.preprocessing);
+  const rows = [];
+
+  rows.push('<h2>Summary</h2>');
+  rows.push('<table>');
+  rows.push(`<tr><th>Engine</th><th>Preprocessing</th><th>All fields</th>${fields.map(f => `<th>${f} exact</th><th>${f} mean error</th><th>${f} ECE</th>`).join('')}<th>Errors</th><th>Preprocess ms (median)</th><th>OCR ms (median / p90)</th></tr>`);
+  for (const cell of report.summary) {
+    const before = baselineCell(cell);
+    const cols = fields.map(f => {
+      const field = cell.fields[f];
+      if (!field) return '<td>–</td><td>–</td><td>–</td>';
+      const beforeField = before && before.fields[f];
+      return `<td>${formatRate(field.exactRate, beforeField ? beforeField.exactRate : null)}</td>` +
+        `<td>${formatNumber(field.meanAbsError, 3)}</td><td>${formatNumber(field.calibration.ece, 3)}</td>`;
+    });
+    const ocr = cell.latency.ocr;
+    rows.push(`<tr><td>${escapeHtml(cell.engine)}</td><td>${escapeHtml(cell.preprocessing)}</td>` +
+      `<td>${formatRate(cell.exactRate, before ? before.exactRate : null)}</td>${cols.join('')}` +
+      `<td>${cell.errors}</td><td>${formatNumber(cell.latency.preprocess && cell.latency.preprocess.median, 0)}</td>` +
+      `<td>${ocr ? `${ocr.median.toFixed(0)} / ${ocr.p90.toFixed(0)}` : '–'}</td></tr>`);
+  }
+  rows.push('</table>');
+
+  rows.push('<h2>Confidence calibration</h2>');
+  rows.push('<p>Readings per confidence bucket: how many were exact against the mean confidence the parser gave them.</p>');
+  rows.push('<table>');
+  rows.push(`<tr><th>Engine</th><th>Preprocessing</th><th>Field</th>${CONFIDENCE_BUCKETS.map(([from, to]) => `<th>${from}-${Math.min(to, 100) - 1}%</th>`).join('')}</tr>`);
+  for (const cell of report.summary) {
+    for (const [name, field] of Object.entries(cell.fields)) {
+      const cols = field.calibration.buckets.map(b => b.count
+        ? `<td>${b.count} read, ${(100 * b.exactRate).toFixed(0)}% exact at ${b.meanConfidence.toFixed(0)}%</td>`
+        : '<td>–</td>');
+      rows.push(`<tr><td>${escapeHtml(cell.engine)}</td><td>${escapeHtml(cell.preprocessing)}</td><td>${name}</td>${cols.join('')}</tr>`);
+    }
+  }
+  rows.push('</table>');
+
+  rows.push('<h2>Photos</h2>');
+  const cells = report.summary.map(cell => `${cell.engine}/${cell.preprocessing}`);
+  rows.push('<table>');
+  rows.push(`<tr><th>Photo</th><th>Field</th><th>Expected</th>${cells.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr>`);
+  for (const image of [...new Set(report.results.map(r => r.image))]) {
+    const mine = report.results.filter(r => r.image === image);
+    for (const field of Object.keys(mine[0].fields)) {
+      const cols = report.summary.map(cell => {
+        const result = mine.find(r => r.engine === cell.engine && r.preprocessing === cell.preprocessing);
+        const reading = result && result.fields[field];
+        if (!reading) return '<td>–</td>';
+        const title = result.error ? ` title="${escapeHtml(result.error)}"` : '';
+        return `<td class="${reading.exact ? 'exact' : 'miss'}"${title}>${reading.value ?? 'not found'} (${reading.confidence}%)</td>`;
+      });
+      rows.push(`<tr><td>${escapeHtml(image)}</td><td>${field}</td><td>${mine[0].fields[field].expected}</td>${cols.join('')}</tr>`);
+    }
+  }
+  rows.push('</table>');
+
+  const skipped = report.skipped.map(s => `<li>${escapeHtml(s.engine)}: ${escapeHtml(s.reason)}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Fuelly OCR benchmark</title>
+<style>
+  body { font-family: -apple-system, sans-serif; margin: 2em; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  .exact { background: #e6f4ea; }
+  .miss { background: #fce8e6; }
+  .better { color: #137333; }
+  .worse { color: #c5221f; }
+  .same { color: #888; }
+</style>
+</head>
+<body>
+<h1>Fuelly OCR benchmark</h1>
+<p>${report.photos} photos, locale ${escapeHtml(report.locale)}, ${escapeHtml(report.generatedAt)}${baseline ? `, compared with ${escapeHtml(baseline.generatedAt)}` : ''}</p>
+${skipped ? `<p>Skipped engines:</p>\n<ul>${skipped}</ul>\n` : ''}${rows.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Print the summary table to the console
+ */
+function printSummary(report) {
+  console.log(`\n${'='.repeat(40)}`);
+  for (const cell of report.summary) {
+    const fields = Object.entries(cell.fields)
+      .map(([name, f]) => `${name} ${(100 * f.exactRate).toFixed(0)}%`)
+      .join(', ');
+    const ocr = cell.latency.ocr ? `, OCR ${cell.latency.ocr.median.toFixed(0)} ms` : '';
+    console.log(`${`${cell.engine}/${cell.preprocessing}`.padEnd(28)} ${fields}${ocr}`);
+  }
+}
+
+if (process.argv[1] === __filename) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  const list = name => option(name) ? option(name).split(',').map(s => s.trim()).filter(Boolean) : null;
+
+  const workerUrl = args.find(arg => !arg.startsWith('--')) || process.env.FUELLY_WORKER_URL || null;
+  const outDir = option('out') || DEFAULT_OUT_DIR;
+  const baselinePath = option('baseline');
+
+  try {
+    const report = await runBenchmark({
+      workerUrl,
+      engines: list('engines') || Object.keys(ENGINES),
+      preprocessing: list('preprocessing') || Object.keys(PREPROCESSING)
+    });
+    const baseline = baselinePath ? JSON.parse(fs.readFileSync(baselinePath, 'utf8')) : null;
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'report.json'), `${JSON.stringify(report, null, 2)}\n`);
+    fs.writeFileSync(path.join(outDir, 'report.html'), renderHtml(report, baseline));
+
+    printSummary(report);
+    console.log(`\nReport written to ${path.join(outDir, 'report.html')}`);
+    // A Tesseract thread that failed to start would otherwise keep the process alive
+    process.exit(0);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,186 @@
+// tests/ocr-corruptor.js
+// Synthetic OCR text for the parsers: ground-truth readings laid out the way pumps and
+// odometers show them, then corrupted the way Vision misreads LCD digits
+
+// Text the pump or cluster prints around the readings
+const PUMP_NOISE = ['PUMP 4', 'PUMP 12', 'REGULAR 87', 'CASH CREDIT', 'PAY INSIDE', 'LIFT NOZZLE', 'THANK YOU', 'PUSH TO START'];
+const ODOMETER_NOISE = ['72°F', '12:34', 'RANGE 312 mi', 'AVG 28.4 MPG', 'TRIP B 1043.2', 'D', 'OIL LIFE 45%'];
+
+// Display layouts: labels above the digits, beside them, or missing
+const PUMP_LAYOUTS = [
+  r => `GALLONS\n${r.gallons}\n$ SALE\n${r.total}\nPRICE/GAL\n${r.pricePerGallon}`,
+  r => `$ SALE\n${r.total}\nGALLONS\n${r.gallons}\nPRICE ${r.pricePerGallon}`,
+  r => `TOTAL $ ${r.total}\nGALLONS ${r.gallons}\nPRICE PER GALLON ${r.pricePerGallon}`,
+  r => `${r.total}\n${r.gallons}\n${r.pricePerGallon}`
+];
+const ODOMETER_LAYOUTS = [
+  r => `ODO ${r.miles} mi`,
+  r => `TRIP A ${r.trip} mi\nODO ${r.miles}`,
+  r => `${r.miles} mi`
+];
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32), so a run can be repeated
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick one element of a list
+ */
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Random integer from min to max inclusive
+ */
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Positions of a character in a string
+ */
+function indexesOf(text, char) {
+  const indexes = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === char) indexes.push(i);
+  }
+  return indexes;
+}
+
+/**
+ * Corruptions of one displayed number, as Vision reads pump LCDs
+ * Each returns the misread text, or null when it doesn't apply to that number
+ */
+export const CORRUPTIONS = {
+  // Clean text, the baseline for the others
+  none: text => text,
+
+  // The decimal point segment isn't seen: "14.997" -> "14997"
+  'dropped-decimal': text => text.includes('.') ? text.replace('.', '') : null,
+
+  // A 1 read as a bar, with or without spaces: "9.811" -> "9.8 | 1", "1|.250"
+  'pipe-for-1': (text, random) => {
+    const ones = indexesOf(text, '1');
+    if (ones.length === 0) return null;
+    const index = pick(random, ones);
+    const bar = pick(random, ['|', ' | ', '| ', ' |']);
+    return text.slice(0, index) + bar + text.slice(index + 1);
+  },
+
+  // A gap between digits after the point: "10.19" -> "10. 19", "9.811" -> "9.81 1"
+  'split-digits': (text, random) => {
+    const point = text.indexOf('.');
+    if (point < 0 || point >= text.length - 1) return null;
+    const index = randomInt(random, point + 1, text.length - 1);
+    return text.slice(0, index) + ' ' + text.slice(index);
+  }
+};
+
+// Corruptions of the whole text rather than one number
+export const TEXT_CORRUPTIONS = {
+  // Other words and numbers on the display, before and after the readings
+  'stray-labels': (text, random, noise) => {
+    const lines = text.split('\n');
+    const count = randomInt(random, 1, 3);
+    for (let i = 0; i < count; i++) {
+      lines.splice(randomInt(random, 0, lines.length), 0, pick(random, noise));
+    }
+    return lines.join('\n');
+  }
+};
+
+// What each kind of reading is put through (an odometer has no decimal point to drop)
+export const PUMP_CORRUPTIONS = ['none', 'dropped-decimal', 'pipe-for-1', 'split-digits', 'stray-labels'];
+export const ODOMETER_CORRUPTIONS = ['none', 'pipe-for-1', 'split-digits', 'stray-labels'];
+
+/**
+ * Random plausible fill-up: price ends in 9 as pumps post it, total rounded to the cent
+ */
+function randomFillUp(random) {
+  const gallons = randomInt(random, 3000, 24999) / 1000;
+  const pricePerGallon = randomInt(random, 249, 599) / 100 + 0.009;
+  const total = Math.round(gallons * pricePerGallon * 100) / 100;
+  return { gallons, pricePerGallon: Math.round(pricePerGallon * 1000) / 1000, total };
+}
+
+/**
+ * Random odometer reading with a trip meter
+ */
+function randomOdometer(random) {
+  return {
+    miles: randomInt(random, 10000, 299999),
+    trip: randomInt(random, 10, 9999) / 10
+  };
+}
+
+/**
+ * Generate one pump display reading with a corruption applied
+ * Number corruptions hit one randomly chosen field; readings they don't apply to are redrawn.
+ * @param {function} random - From createRandom
+ * @param {string} corruption - One of PUMP_CORRUPTIONS
+ * @returns {{text: string, expected: object, field: string|null}}
+ */
+export function generatePumpSample(random, corruption) {
+  for (;;) {
+    const expected = randomFillUp(random);
+    const shown = {
+      gallons: expected.gallons.toFixed(3),
+      pricePerGallon: expected.pricePerGallon.toFixed(3),
+      total: expected.total.toFixed(2)
+    };
+    const layout = pick(random, PUMP_LAYOUTS);
+
+    if (TEXT_CORRUPTIONS[corruption]) {
+      return { text: TEXT_CORRUPTIONS[corruption](layout(shown), random, PUMP_NOISE), expected, field: null };
+    }
+
+    const field = pick(random, Object.keys(shown));
+    const misread = CORRUPTIONS[corruption](shown[field], random);
+    if (misread !== null) {
+      shown[field] = misread;
+      return { text: layout(shown), expected, field };
+    }
+  }
+}
+
+/**
+ * Generate one odometer reading with a corruption applied to the odometer digits
+ * @param {function} random - From createRandom
+ * @param {string} corruption - One of ODOMETER_CORRUPTIONS
+ * @returns {{text: string, expected: object, field: string|null}}
+ */
+export function generateOdometerSample(random, corruption) {
+  for (;;) {
+    const expected = randomOdometer(random);
+    const shown = { miles: String(expected.miles), trip: expected.trip.toFixed(1) };
+    const layout = pick(random, ODOMETER_LAYOUTS);
+
+    if (TEXT_CORRUPTIONS[corruption]) {
+      return { text: TEXT_CORRUPTIONS[corruption](layout(shown), random, ODOMETER_NOISE), expected, field: null };
+    }
+
+    // No decimal point to split after: a gap anywhere between the digits ("45 230")
+    let misread;
+    if (corruption === 'split-digits') {
+      const index = randomInt(random, 1, shown.miles.length - 1);
+      misread = shown.miles.slice(0, index) + ' ' + shown.miles.slice(index);
+    } else {
+      misread = CORRUPTIONS[corruption](shown.miles, random);
+    }
+    if (misread !== null) {
+      shown.miles = misread;
+      return { text: layout(shown), expected, field: 'miles' };
+    }
+  }
+}
@@ -1,14 +1,28 @@
 // tests/runner.js
 
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import sharp from 'sharp';
+import Parsers from '../parsers.js';
+import ImageFilters from '../image-filters.js';
+import {
+  createRandom,
+  generatePumpSample,
+  generateOdometerSample,
+  PUMP_CORRUPTIONS,
+  ODOMETER_CORRUPTIONS
+} from './ocr-corruptor.js';
+import { importFromWorker } from './worker-modules.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const IMAGES_DIR = path.join(__dirname, 'images-converted');
+export const IMAGES_DIR = path.join(__dirname, 'images');
+const LOCALE_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'locales');
+const RULE_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'rules.json');
+// Worker responses saved by --record, one JSON file per image, replayed by --replay
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures', 'ocr');
 
 /**
  * Parse expected values from filename
@@ -50,7 +64,7 @@ function parseFilename(filename) {
 /**
  * Load test images from directory
  */
-function loadTestImages() {
+export function loadTestImages() {
   if (!fs.existsSync(IMAGES_DIR)) {
     console.log('No test images directory found.');
     return [];
@@ -72,14 +86,52 @@ function fileToBase64(filepath) {
   return `data:${mimeType};base64,${buffer.toString('base64')}`;
 }
 
+/**
+ * Open a test photo with sharp, decoding HEIC with libheif first
+ * (sharp's prebuilt libvips has no HEVC decoder). libheif applies the photo's rotation
+ */
+export async function openImage(sharp, filepath) {
+  const buffer = fs.readFileSync(filepath);
+  if (!Parsers.isHeic(buffer)) {
+    return sharp(buffer);
+  }
+
+  // The same WebAssembly decoder the app downloads for HEIC photos
+  const { default: libheif } = await importFromWorker('libheif-js/wasm-bundle.js');
+  const images = new libheif.HeifDecoder().decode(buffer);
+  if (!images.length) {
+    throw new Error('Could not read HEIC file');
+  }
+
+  const image = images[0];
+  const width = image.get_width();
+  const height = image.get_height();
+  try {
+    const pixels = await new Promise((resolve, reject) => {
+      image.display({ data: new Uint8ClampedArray(width * height * 4), width, height }, displayData => {
+        if (!displayData) {
+          reject(new Error('Could not decode HEIC file'));
+          return;
+        }
+        resolve(displayData.data);
+      });
+    });
+    return sharp(Buffer.from(pixels.buffer), { raw: { width, height, channels: 4 } });
+  } finally {
+    images.forEach(img => img.free());
+  }
+}
+
 /**
  * Preprocess image for better OCR accuracy
  * - Upscales to at least 2000px
  * - Enhances contrast
  * - Applies sharpening
  */
-async function preprocessImage(filepath) {
-  const image = sharp(filepath);
+export async function preprocessImage(filepath) {
+  // Loaded here so the offline fixture modes don't need sharp's native build
+  const { default: sharp } = await importFromWorker('sharp');
+  const image = await openImage(sharp, filepath);
   const metadata = await image.metadata();
 
   // Calculate upscale factor if needed
@@ -107,198 +159,484 @@ async function preprocessImage(filepath) {
 }
 
 /**
- * Parse pump data from OCR text
+ * Check a parsed value against the expected one
  */
-function parsePumpData(text) {
-  let gallons = null;
-  let gallonsDigits = null;  // Track which digits were used for gallons
-
-  // Pre-clean: handle OCR artifacts like "10. 19" -> "10.19"
-  let cleanedText = text.replace(/(\d+)\.\s+(\d{2})\b/g, '$1.$2');
-
-  // Match 3-decimal number for gallons
-  const gallonsMatch = cleanedText.match(/\b(\d{1,2}\.\d{3})\b/);
-  gallons = gallonsMatch ? parseFloat(gallonsMatch[1]) : null;
-
-  // HEURISTIC: If no gallons found with decimal, try 5-digit number
-  if (!gallons) {
-    const noDecimalPattern = /\b(\d{4,5})\b/g;
-    const candidates = [...cleanedText.matchAll(noDecimalPattern)];
-
-    for (const match of candidates) {
-      const digits = match[1];
-      // Try inserting decimal after 1-2 digits for gallons
-      for (let decimalPos = 1; decimalPos <= 2; decimalPos++) {
-        const withDecimal = parseFloat(
-          digits.slice(0, decimalPos) + '.' + digits.slice(decimalPos)
-        );
-        // Valid gallons range: 1-25, with 3 decimal places
-        if (withDecimal >= 1 && withDecimal <= 25 && digits.length === decimalPos + 3) {
-          gallons = withDecimal;
-          gallonsDigits = digits;
-          break;
-        }
+export function matchesExpected(key, actual, expected) {
+  if (typeof expected === 'number') {
+    return typeof actual === 'number' && Math.abs(actual - expected) < 0.0015;
+  }
+  return actual === expected;
+}
+
+/**
+ * Parse a text fixture case with the app's parsers
+ * @returns {object} The parsed values, keyed like the fixtures' `expected`
+ */
+function parseFixtureCase(testCase, options) {
+  // `withoutLines` leaves `lines` out, as an engine that only returns text would
+  const ocrResult = testCase.withoutLines ? { text: testCase.text } : { text: testCase.text, lines: [] };
+
+  if (testCase.type === 'photos') {
+    // Several photos' text, classified and given the pump and odometer roles as the app does
+    const classifications = testCase.texts.map(text => Parsers.classifyPhoto({ text, lines: [] }, options));
+    const { pumpIndex, odometerIndex } = Parsers.assignPhotos(classifications);
+    return { pumpIndex, odometerIndex, types: classifications.map(c => c.type).join(',') };
+  }
+
+  if (testCase.type === 'odometer') {
+    const parsed = Parsers.parseOdometerData(ocrResult, Object.assign({ odometerType: testCase.odometerType }, options));
+    return { miles: parsed.miles.value, trip: parsed.trip.value, distanceUnit: parsed.distanceUnit };
+  }
+  if (testCase.type === 'receipt') {
+    const parsed = Parsers.parseReceiptData(ocrResult, options);
+    return {
+      gallons: parsed.gallons.value,
+      pricePerGallon: parsed.pricePerGallon.value,
+      total: parsed.total.value,
+      currency: parsed.currency,
+      grade: parsed.grade.value,
+      dateTime: parsed.dateTime.value,
+      station: parsed.station.value
+    };
+  }
+  const parsed = Parsers.parsePumpData(ocrResult, options);
+  return {
+    gallons: parsed.gallons.value,
+    pricePerGallon: parsed.pricePerGallon.value,
+    total: parsed.total.value,
+    currency: parsed.currency,
+    grade: parsed.grade.value,
+    reconciliation: parsed.reconciliation.status
+  };
+}
+
+/**
+ * Run a text fixture case and print ✓ or ✗ with the mismatched values
+ * @returns {boolean} Whether every expected value matched
+ */
+function runFixtureCase(testCase, options) {
+  const actual = parseFixtureCase(testCase, options);
+  const mismatches = Object.keys(testCase.expected)
+    .filter(key => !matchesExpected(key, actual[key], testCase.expected[key]));
+
+  if (mismatches.length === 0) {
+    console.log(`  ✓ ${testCase.name}`);
+    return true;
+  }
+  console.log(`  ✗ ${testCase.name}`);
+  for (const key of mismatches) {
+    console.log(`    - ${key}: ${actual[key] ?? 'NOT FOUND'} (expected ${testCase.expected[key]})`);
+  }
+  return false;
+}
+
+/**
+ * Run the text-level locale fixtures through the app's parsers (no network)
+ * Each tests/fixtures/locales/<locale>.json holds OCR text and expected values
+ */
+function runLocaleFixtures() {
+  const files = fs.readdirSync(LOCALE_FIXTURES_DIR).filter(f => f.endsWith('.json'));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const file of files) {
+    const fixture = JSON.parse(fs.readFileSync(path.join(LOCALE_FIXTURES_DIR, file), 'utf8'));
+    const options = { locale: fixture.locale, unitSystem: fixture.unitSystem };
+    console.log(`\n${fixture.locale} (${fixture.unitSystem})`);
+
+    for (const testCase of fixture.cases) {
+      if (runFixtureCase(testCase, options)) {
+        passed++;
+      } else {
+        failed++;
       }
-      if (gallons) break;
     }
   }
 
-  // Match 2-decimal number for total ($10-$500 range)
-  let total = null;
-  const totalPattern = /\$?\s*(\d{1,3}\.\d{2})\b/g;
-  let match;
-  while ((match = totalPattern.exec(cleanedText)) !== null) {
-    const value = parseFloat(match[1]);
-    if (value >= 10 && value <= 500) {
-      total = value;
-      break;
-    }
+  console.log(`\n${'='.repeat(40)}`);
+  console.log(`${passed}/${passed + failed} locale fixtures passed`);
+  if (failed > 0) {
+    process.exit(1);
   }
+}
 
-  // HEURISTIC: If no total found with decimal, try 4-digit number
-  if (!total) {
-    const noDecimalPattern = /\b(\d{4})\b/g;
-    const candidates = [...cleanedText.matchAll(noDecimalPattern)];
-
-    for (const match of candidates) {
-      const digits = match[1];
-      // Skip if these digits were already used for gallons
-      if (gallonsDigits && digits === gallonsDigits) continue;
-
-      // Try inserting decimal after 2-3 digits for total
-      for (let decimalPos = 2; decimalPos <= 3; decimalPos++) {
-        const withDecimal = parseFloat(
-          digits.slice(0, decimalPos) + '.' + digits.slice(decimalPos)
-        );
-        // Valid total range: $10-$500
-        if (withDecimal >= 10 && withDecimal <= 500) {
-          total = withDecimal;
-          break;
-        }
+/**
+ * Run tests/fixtures/rules.json: one or more cases for each OCR cleanup rule of the parsers
+ * (Parsers.CLEANUP_RULES). A rule without a case counts as a failure, so a new rule comes with its test
+ */
+function runRuleFixtures() {
+  const fixture = JSON.parse(fs.readFileSync(RULE_FIXTURES_PATH, 'utf8'));
+  const rules = Parsers.CLEANUP_RULES;
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [rule, description] of Object.entries(rules)) {
+    console.log(`\n${rule}: ${description}`);
+    const cases = fixture.cases.filter(c => c.rule === rule);
+    if (cases.length === 0) {
+      console.log('  ✗ no cases');
+      failed++;
+    }
+
+    for (const testCase of cases) {
+      const options = {
+        locale: testCase.locale || fixture.locale,
+        unitSystem: testCase.unitSystem || fixture.unitSystem
+      };
+      if (runFixtureCase(testCase, options)) {
+        passed++;
+      } else {
+        failed++;
       }
-      if (total) break;
     }
   }
 
-  return { gallons, total };
+  for (const testCase of fixture.cases.filter(c => !rules[c.rule])) {
+    console.log(`\n✗ ${testCase.name}: unknown rule ${testCase.rule}`);
+    failed++;
+  }
+
+  console.log(`\n${'='.repeat(40)}`);
+  console.log(`${passed}/${passed + failed} rule fixtures passed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Percentage for the robustness table
+ */
+function percent(count, total) {
+  return `${(100 * count / total).toFixed(1)}%`;
+}
+
+/**
+ * Parse synthetic readings with each kind of OCR corruption and print how often
+ * each field comes out right (tests/ocr-corruptor.js makes the readings)
+ * A report rather than a pass/fail: the numbers show which misreads the parsers cope with
+ * @param {number} count - Readings per corruption
+ * @param {number} seed - Same seed, same readings
+ */
+function runRobustness(count, seed) {
+  const options = { locale: 'en-US', unitSystem: 'us' };
+  const random = createRandom(seed);
+  const pumpFields = ['gallons', 'pricePerGallon', 'total'];
+
+  console.log(`${count} readings per corruption, seed ${seed}\n`);
+  console.log(`${'pump'.padEnd(16)}${'gallons'.padStart(9)}${'price'.padStart(9)}${'total'.padStart(9)}${'all'.padStart(9)}`);
+
+  for (const corruption of PUMP_CORRUPTIONS) {
+    const right = { gallons: 0, pricePerGallon: 0, total: 0, all: 0 };
+    for (let i = 0; i < count; i++) {
+      const sample = generatePumpSample(random, corruption);
+      const actual = parseFixtureCase({ text: sample.text }, options);
+      const matches = pumpFields.filter(key => matchesExpected(key, actual[key], sample.expected[key]));
+      for (const key of matches) right[key]++;
+      if (matches.length === pumpFields.length) right.all++;
+    }
+    console.log(corruption.padEnd(16) + ['gallons', 'pricePerGallon', 'total', 'all']
+      .map(key => percent(right[key], count).padStart(9)).join(''));
+  }
+
+  console.log(`\n${'odometer'.padEnd(16)}${'miles'.padStart(9)}`);
+  for (const corruption of ODOMETER_CORRUPTIONS) {
+    let right = 0;
+    for (let i = 0; i < count; i++) {
+      const sample = generateOdometerSample(random, corruption);
+      const actual = parseFixtureCase({ type: 'odometer', text: sample.text }, options);
+      if (matchesExpected('miles', actual.miles, sample.expected.miles)) right++;
+    }
+    console.log(corruption.padEnd(16) + percent(right, count).padStart(9));
+  }
+}
+
+/**
+ * Run the app's photo quality check on every test photo; they are all readable,
+ * so any warning (blurry, dark, glare...) is a false alarm
+ */
+async function runQualityCheck() {
+  const { default: sharp } = await importFromWorker('sharp');
+  const tests = loadTestImages();
+
+  let passed = 0;
+  for (const test of tests) {
+    const image = await openImage(sharp, path.join(IMAGES_DIR, test.filename));
+    const metadata = await image.metadata();
+    const size = ImageFilters.getQualitySize(metadata.width, metadata.height);
+    const { data, info } = await image
+      .resize(size.width, size.height)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const pixels = { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+    const { issues, metrics } = ImageFilters.assessQuality(pixels, metadata);
+    if (issues.length === 0) {
+      console.log(`  ✓ ${test.filename}`);
+      passed++;
+    } else {
+      console.log(`  ✗ ${test.filename}: ${issues.join(', ')} ${JSON.stringify(metrics)}`);
+    }
+  }
+
+  console.log(`\n${'='.repeat(40)}`);
+  console.log(`${passed}/${tests.length} test photos passed the quality check`);
+  if (passed < tests.length) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Send an image to the worker and return its raw JSON response
+ * The rate limit bypass key is read from FUELLY_TEST_BYPASS_KEY, if set
+ * @param {string} imageData - JPEG data URL
+ */
+export async function sendToWorker(workerUrl, imageData) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.FUELLY_TEST_BYPASS_KEY) {
+    headers['X-Test-Bypass'] = process.env.FUELLY_TEST_BYPASS_KEY;
+  }
+
+  const response = await fetch(workerUrl, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ image: imageData })
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  return response.json();
 }
 
 /**
- * Parse odometer data from OCR text
+ * Preprocess a test image and send it to the worker
  */
-function parseOdometerData(text) {
-  // Match 5-6 digit number
-  const matches = text.match(/\b(\d{5,6})\b/g);
-  if (!matches) return { miles: null };
-
-  // Return the highest number (odometer)
-  const miles = Math.max(...matches.map(m => parseInt(m)));
-  return { miles };
+async function fetchWorkerResponse(workerUrl, filepath) {
+  return sendToWorker(workerUrl, await preprocessImage(filepath));
+}
+
+/**
+ * Path of the recorded response for a test image
+ */
+function getRecordingPath(filename) {
+  return path.join(RECORDINGS_DIR, `${path.basename(filename, path.extname(filename))}.json`);
+}
+
+/**
+ * SHA-256 of a test image, so replay can tell when the image changed after recording
+ */
+function hashFile(filepath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filepath)).digest('hex');
+}
+
+/**
+ * Save a worker response for replay
+ */
+function saveRecording(test, filepath, response) {
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+  const recording = {
+    image: test.filename,
+    imageSha256: hashFile(filepath),
+    recordedAt: new Date().toISOString(),
+    response
+  };
+  fs.writeFileSync(getRecordingPath(test.filename), `${JSON.stringify(recording, null, 2)}\n`);
+}
+
+/**
+ * Load a recorded worker response, or null if the image has none
+ * `transcribed` recordings hold text typed from the photo, not a real response
+ * @returns {{response: object, stale: boolean, transcribed: boolean}|null}
+ */
+export function loadRecording(test, filepath) {
+  const recordingPath = getRecordingPath(test.filename);
+  if (!fs.existsSync(recordingPath)) {
+    return null;
+  }
+
+  const recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+  return {
+    response: recording.response,
+    stale: recording.imageSha256 !== hashFile(filepath),
+    transcribed: Boolean(recording.transcribed)
+  };
+}
+
+/**
+ * Parse a worker response with the app's parsers and check it against the file name
+ * @returns {boolean} Whether every expected value was read
+ */
+function checkResult(test, result) {
+  // Worker returns {success: true, data: {text, lines}}
+  const text = result.data?.text || result.text || '';
+  const ocrResult = { text, lines: result.data?.lines || [] };
+  const options = { locale, unitSystem: 'us' };
+
+  console.log(`  RAW OCR: "${text.slice(0, 200)}${text.length > 200 ? '...' : ''}"`);
+
+  if (test.type === 'pump') {
+    const parsed = Parsers.parsePumpData(ocrResult, options);
+    const gallons = parsed.gallons.value;
+    const total = parsed.total.value;
+
+    const gallonsMatch = test.gallons && gallons && Math.abs(gallons - test.gallons) < 0.01;
+    const totalMatch = test.total && total && Math.abs(total - test.total) < 0.1;
+
+    if (test.gallons) {
+      console.log(`  - Gallons: ${gallons ?? 'NOT FOUND'} (expected ${test.gallons}) ${gallonsMatch ? '✓' : '✗'}`);
+    }
+    if (test.total) {
+      console.log(`  - Total: ${total ?? 'NOT FOUND'} (expected ${test.total}) ${totalMatch ? '✓' : '✗'}`);
+    }
+
+    return Boolean(gallonsMatch && totalMatch);
+  }
+
+  if (test.type === 'odometer') {
+    const miles = Parsers.parseOdometerData(ocrResult, options).miles.value;
+    const milesMatch = test.miles && miles && miles === test.miles;
+
+    if (test.miles) {
+      console.log(`  - Miles: ${miles ?? 'NOT FOUND'} (expected ${test.miles}) ${milesMatch ? '✓' : '✗'}`);
+    }
+
+    return Boolean(milesMatch);
+  }
+
+  return false;
 }
 
 /**
  * Run tests
+ * @param {string|null} workerUrl - Worker to send the images to (not needed to replay)
+ * @param {string} [mode] - 'live' sends every image, 'record' also saves the responses,
+ *   'replay' parses the saved responses without any network
  */
-async function runTests(workerUrl) {
+export async function runTests(workerUrl, mode = 'live') {
   const tests = loadTestImages();
 
   if (tests.length === 0) {
     console.log('No tests to run. Add images to tests/images/');
-    return;
+    process.exit(1);
   }
 
-  console.log(`Running ${tests.length} tests...\n`);
+  console.log(`Running ${tests.length} tests${mode === 'live' ? '' : ` (${mode})`}...\n`);
 
   let passed = 0;
   let failed = 0;
+  let skipped = 0;
+  // Replayed recordings typed from the photo: they check the text parsers, not OCR
+  let transcribed = 0;
 
   for (const test of tests) {
     const filepath = path.join(IMAGES_DIR, test.filename);
+    console.log(`\n${test.filename}`);
 
     try {
-      // Preprocess image for better OCR
-      const imageData = await preprocessImage(filepath);
-
-      const response = await fetch(workerUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Test-Bypass': 'fuelly-test-2024'
-        },
-        body: JSON.stringify({ image: imageData })
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      const result = await response.json();
-      // Worker returns {success: true, data: {text, lines}}
-      const text = result.data?.text || result.text || '';
-
-      console.log(`\n${test.filename}`);
-      console.log(`  RAW OCR: "${text.slice(0, 200)}${text.length > 200 ? '...' : ''}"`);
-
-      if (test.type === 'pump') {
-        const { gallons, total } = parsePumpData(text);
-
-        const gallonsMatch = test.gallons && gallons && Math.abs(gallons - test.gallons) < 0.01;
-        const totalMatch = test.total && total && Math.abs(total - test.total) < 0.1;
-
-        if (test.gallons) {
-          console.log(`  - Gallons: ${gallons ?? 'NOT FOUND'} (expected ${test.gallons}) ${gallonsMatch ? '✓' : '✗'}`);
-        }
-        if (test.total) {
-          console.log(`  - Total: ${total ?? 'NOT FOUND'} (expected ${test.total}) ${totalMatch ? '✓' : '✗'}`);
+      let result;
+      if (mode === 'replay') {
+        const recording = loadRecording(test, filepath);
+        if (!recording) {
+          console.log('  - SKIPPED: no recording (run with --record)');
+          skipped++;
+          continue;
         }
-
-        if (gallonsMatch && totalMatch) {
-          console.log('  ✓ PASS');
-          passed++;
-        } else {
-          console.log('  ✗ FAIL');
-          failed++;
+        if (recording.stale) {
+          console.log('  ! Image changed since it was recorded (run with --record)');
         }
-
-      } else if (test.type === 'odometer') {
-        const { miles } = parseOdometerData(text);
-        const milesMatch = test.miles && miles && miles === test.miles;
-
-        if (test.miles) {
-          console.log(`  - Miles: ${miles ?? 'NOT FOUND'} (expected ${test.miles}) ${milesMatch ? '✓' : '✗'}`);
+        if (recording.transcribed) {
+          console.log('  ! Transcribed by hand, not a Vision response: text-only parse check (run with --record)');
+          transcribed++;
         }
-
-        if (milesMatch) {
-          console.log('  ✓ PASS');
-          passed++;
-        } else {
-          console.log('  ✗ FAIL');
-          failed++;
+        result = recording.response;
+      } else {
+        result = await fetchWorkerResponse(workerUrl, filepath);
+        if (mode === 'record') {
+          saveRecording(test, filepath, result);
         }
       }
 
+      if (checkResult(test, result)) {
+        console.log('  ✓ PASS');
+        passed++;
+      } else {
+        console.log('  ✗ FAIL');
+        failed++;
+      }
     } catch (error) {
-      console.log(`\n${test.filename}`);
       console.log(`  ✗ ERROR: ${error.message}`);
       failed++;
     }
   }
 
   console.log(`\n${'='.repeat(40)}`);
-  console.log(`${passed}/${tests.length} tests passed`);
+  console.log(`${passed}/${tests.length - skipped} tests passed`);
+  if (skipped > 0) {
+    console.log(`${skipped} tests skipped (not recorded)`);
+  }
+  if (transcribed > 0) {
+    console.log(`${transcribed} of them text-only parse checks (transcribed, no word boxes): not OCR coverage`);
+  }
   if (failed > 0) {
     console.log(`${failed} tests failed`);
     process.exit(1);
   }
+  // A replay with nothing recorded checked nothing
+  if (passed === 0) {
+    console.log('No tests ran');
+    process.exit(1);
+  }
 }
 
-// Get worker URL from argument or env
-const workerUrl = process.argv[2] || process.env.FUELLY_WORKER_URL;
+// Locale of the test photos (all current fixtures are US pumps)
+export const locale = process.env.FUELLY_LOCALE || 'en-US';
 
-if (!workerUrl) {
-  console.error('Please provide Worker URL:');
-  console.error('  node tests/runner.js https://your-worker.workers.dev');
+/**
+ * Fail the command on an error the runner didn't expect
+ */
+function exitWithError(error) {
+  console.error(error);
   process.exit(1);
 }
 
-runTests(workerUrl).catch(console.error);
+// Run from the command line; tests/test-worker.js imports runTests instead
+if (process.argv[1] === __filename) {
+  const args = process.argv.slice(2);
+  // Get worker URL from argument or env
+  const workerUrl = args.find(arg => !arg.startsWith('--')) || process.env.FUELLY_WORKER_URL;
+
+  // --count=N and --seed=N for --robustness
+  const option = (name, fallback) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? parseInt(arg.split('=')[1], 10) : fallback;
+  };
+
+  if (args.includes('--locales')) {
+    runLocaleFixtures();
+  } else if (args.includes('--rules')) {
+    runRuleFixtures();
+  } else if (args.includes('--robustness')) {
+    runRobustness(option('count', 500), option('seed', 1));
+  } else if (args.includes('--quality')) {
+    runQualityCheck().catch(exitWithError);
+  } else if (args.includes('--replay')) {
+    runTests(null, 'replay').catch(exitWithError);
+  } else if (!workerUrl) {
+    console.error('Please provide Worker URL:');
+    console.error('  node tests/runner.js https://your-worker.workers.dev');
+    console.error('  node tests/runner.js --record https://your-worker.workers.dev (also saves the responses)');
+    console.error('Or run offline:');
+    console.error('  node tests/runner.js --replay (the saved responses)');
+    console.error('  node tests/runner.js --locales (the locale fixtures)');
+    console.error('  node tests/runner.js --rules (a case for each OCR cleanup rule)');
+    console.error('  node tests/runner.js --robustness [--count=500] [--seed=1] (synthetic misreads)');
+    console.error('  node tests/runner.js --quality (no quality warnings on the test photos; needs sharp)');
+    process.exit(1);
+  } else {
+    runTests(workerUrl, args.includes('--record') ? 'record' : 'live').catch(exitWithError);
+  }
+}
@@ -0,0 +1,102 @@
+// tests/test-exif.js
+// The EXIF reader (exif.js) on the test photos: orientation, capture time and GPS position
+// from the iPhone HEIC files in tests/images and the JPEGs converted from them
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Exif from '../exif.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const IMAGES_DIR = path.join(__dirname, 'images');
+const CONVERTED_DIR = path.join(__dirname, 'images-converted');
+
+// Read from the photos with other tools (sharp for orientation, the DateTimeOriginal string)
+const EXPECTED = {
+  odometer_165043: { orientation: 6, dateTime: '2023-10-12T19:12', latitude: 32.999306, longitude: -97.206322 },
+  odometer_168237: { orientation: 1, dateTime: '2024-02-14T13:30', latitude: 32.999517, longitude: -97.206481 },
+  'pump_3.287_gallons_10.19_total': { orientation: 6, dateTime: '2024-02-22T11:49', latitude: 32.838669, longitude: -97.290947 }
+};
+
+/**
+ * Read a photo's metadata the way the app does, from an ArrayBuffer of the file
+ */
+function readPhoto(file) {
+  const bytes = fs.readFileSync(file);
+  return Exif.read(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+}
+
+/**
+ * Whether metadata matches an EXPECTED entry
+ */
+function matches(metadata, expected) {
+  return metadata.orientation === expected.orientation &&
+    metadata.dateTime === expected.dateTime &&
+    metadata.location !== null &&
+    metadata.location.latitude === expected.latitude &&
+    metadata.location.longitude === expected.longitude;
+}
+
+const heicNames = fs.readdirSync(IMAGES_DIR)
+  .filter(name => /\.heic$/i.test(name))
+  .map(name => path.basename(name, path.extname(name)));
+
+const checks = [];
+for (const [name, expected] of Object.entries(EXPECTED)) {
+  checks.push({
+    name: `${name}.HEIC: orientation ${expected.orientation}, ${expected.dateTime}, GPS`,
+    run: () => matches(readPhoto(path.join(IMAGES_DIR, `${name}.HEIC`)), expected)
+  });
+  checks.push({
+    name: `${name}.jpg: orientation ${expected.orientation}, ${expected.dateTime}, GPS`,
+    run: () => matches(readPhoto(path.join(CONVERTED_DIR, `${name}.jpg`)), expected)
+  });
+}
+checks.push(
+  {
+    name: `every HEIC photo reads the same as its converted JPEG (${heicNames.length} photos)`,
+    run: () => heicNames.length > 0 && heicNames.every(name => {
+      const heic = readPhoto(path.join(IMAGES_DIR, `${name}.HEIC`));
+      const jpeg = readPhoto(path.join(CONVERTED_DIR, `${name}.jpg`));
+      return heic.dateTime !== null && JSON.stringify(heic) === JSON.stringify(jpeg);
+    })
+  },
+  {
+    name: 'a file without EXIF reads as upright with no date or position',
+    run: () => {
+      const metadata = Exif.read(new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]).buffer);
+      return metadata.orientation === 1 && metadata.dateTime === null && metadata.location === null;
+    }
+  },
+  {
+    name: 'orientation 6 swaps width and height to draw upright',
+    run: () => {
+      const transform = Exif.getTransform(6, 4032, 3024);
+      return transform.width === 3024 && transform.height === 4032 &&
+        transform.matrix.join(',') === '0,1,-1,0,3024,0';
+    }
+  }
+);
+
+let passed = 0;
+let failed = 0;
+for (const check of checks) {
+  let ok = false;
+  try {
+    ok = check.run();
+  } catch (error) {
+    console.log(`    ${error.message}`);
+  }
+  console.log(`  ${ok ? '✓' : '✗'} ${check.name}`);
+  if (ok) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+console.log(`\n${'='.repeat(40)}`);
+console.log(`${passed}/${passed + failed} EXIF checks passed`);
+if (failed > 0) {
+  process.exit(1);
+}
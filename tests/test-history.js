@@ -0,0 +1,109 @@
+// tests/test-history.js
+// The fill-up history (history.js) against an in-memory storage: what a sent fill-up
+// keeps, including the fuel grade, and the CSV export
+
+import FillUpHistory from '../history.js';
+
+/**
+ * The part of the Storage interface history.js uses
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+const FILL_UP = {
+  date: '2026-03-14',
+  odometer: 45230,
+  distanceUnit: 'mi',
+  volume: 12.345,
+  unitSystem: 'us',
+  price: 3.599,
+  total: 44.43,
+  currency: 'USD',
+  grade: 'Premium',
+  location: { latitude: 45.5231, longitude: -122.6765 }
+};
+
+const checks = [
+  {
+    name: 'empty storage has no history and no last odometer',
+    run: () => {
+      const storage = createStorage();
+      return FillUpHistory.load(storage).length === 0 && FillUpHistory.getLastOdometer(storage) === null;
+    }
+  },
+  {
+    name: 'grade saved in the history',
+    run: () => {
+      const storage = createStorage();
+      FillUpHistory.add(storage, FILL_UP);
+      const entries = FillUpHistory.load(storage);
+      return entries.length === 1 && entries[0].grade === 'Premium' && entries[0].total === 44.43;
+    }
+  },
+  {
+    name: 'grade saved with the last odometer reading',
+    run: () => {
+      const storage = createStorage();
+      FillUpHistory.add(storage, FILL_UP);
+      FillUpHistory.add(storage, Object.assign({}, FILL_UP, { odometer: 45542, grade: 'Regular' }));
+      const last = FillUpHistory.getLastOdometer(storage);
+      return last.value === 45542 && last.distanceUnit === 'mi' && last.grade === 'Regular' &&
+        FillUpHistory.load(storage).length === 2;
+    }
+  },
+  {
+    name: 'grade column in the CSV export',
+    run: () => {
+      const lines = FillUpHistory.toCsv([FILL_UP, Object.assign({}, FILL_UP, { grade: null, location: null })]).split('\r\n');
+      const header = lines[0].split(',');
+      const grade = header.indexOf('grade');
+      return grade >= 0 &&
+        lines[1].split(',')[grade] === 'Premium' &&
+        lines[2].split(',')[grade] === '' &&
+        lines[1] === '2026-03-14,45230,mi,12.345,us,3.599,44.43,USD,Premium,45.5231,-122.6765';
+    }
+  },
+  {
+    name: 'CSV values with commas and quotes are quoted',
+    run: () => {
+      const csv = FillUpHistory.toCsv([Object.assign({}, FILL_UP, { grade: 'Super, "98"' })]);
+      return csv.includes(',"Super, ""98""",');
+    }
+  },
+  {
+    name: 'unreadable history starts over',
+    run: () => {
+      const storage = createStorage();
+      storage.setItem('fuelly_history', '{not json');
+      return FillUpHistory.add(storage, FILL_UP).length === 1;
+    }
+  }
+];
+
+let passed = 0;
+let failed = 0;
+for (const check of checks) {
+  let ok = false;
+  try {
+    ok = check.run();
+  } catch (error) {
+    console.log(`    ${error.message}`);
+  }
+  console.log(`  ${ok ? '✓' : '✗'} ${check.name}`);
+  if (ok) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+console.log(`\n${'='.repeat(40)}`);
+console.log(`${passed}/${passed + failed} history checks passed`);
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,192 @@
+// tests/test-routing.js
+// OCR engine routing in ocr.js: a photo read on the 'unknown' route is classified and
+// then handed to the engines its type's route puts first; in ensemble mode, which engines
+// read a photo and which readings vote. ocr.js is a browser script, so
+// it runs in a VM context with an in-memory localStorage; engines are registered with
+// OCR.registerEngine() in place of the built-in ones.
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const PUMP_TEXT = 'GALLONS\n12.345\n$ SALE\n44.43\nPRICE/GAL\n3.599';
+const ODOMETER_TEXT = 'ODO 45230 mi\nTRIP A 312.4';
+
+/**
+ * Load parsers.js and ocr.js as the page does
+ * @param {boolean} [storageBlocked] - localStorage throws, as when the browser blocks it
+ * @returns {object} The OCR module
+ */
+function loadOcr(storageBlocked = false) {
+  const items = new Map();
+  const blocked = () => {
+    throw new Error('The operation is insecure.');
+  };
+  const context = {
+    console: { log() {}, warn() {}, error() {} },
+    localStorage: storageBlocked ? { getItem: blocked, setItem: blocked, removeItem: blocked } : {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: key => items.delete(key)
+    },
+    navigator: { onLine: true },
+    setTimeout,
+    clearTimeout
+  };
+  context.self = context;
+  vm.createContext(context);
+  for (const file of ['parsers.js', 'ocr.js']) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+  return vm.runInContext('OCR', context);
+}
+
+/**
+ * Register an engine that always reads the same text and counts its calls
+ */
+function fakeEngine(OCR, id, text, bestFor, offline = true) {
+  const engine = { id, calls: 0 };
+  OCR.registerEngine({
+    id,
+    capabilities: { offline, bestFor },
+    isAvailable: () => true,
+    extract: async () => {
+      engine.calls++;
+      return { text, confidence: 90, lines: [] };
+    }
+  });
+  return engine;
+}
+
+/**
+ * A fresh OCR module where Vision (through the worker) reads `visionText`
+ * and Tesseract reads `tesseractText`; the other built-in engines are off
+ */
+function setUp(visionText, tesseractText) {
+  const OCR = loadOcr();
+  OCR.registerEngine({ id: 'vision', isAvailable: () => false, extract: async () => null });
+  OCR.registerEngine({ id: 'seven-segment', isAvailable: () => false, extract: async () => null });
+  return {
+    OCR,
+    worker: fakeEngine(OCR, 'worker', visionText, ['pump', 'odometer', 'unknown'], false),
+    tesseract: fakeEngine(OCR, 'tesseract', tesseractText, ['odometer'])
+  };
+}
+
+const checks = [
+  {
+    name: 'odometer photo is routed to Tesseract after the first pass',
+    run: async () => {
+      const { OCR, worker, tesseract } = setUp(ODOMETER_TEXT, 'ODO 45231 mi');
+      const result = await OCR.extractTextByType('data:image/jpeg;base64,');
+      return result.photoType === 'odometer' && result.engine === 'tesseract' &&
+        result.text === 'ODO 45231 mi' && worker.calls === 1 && tesseract.calls === 1;
+    }
+  },
+  {
+    name: 'pump photo stays with the engine that read it',
+    run: async () => {
+      const { OCR, worker, tesseract } = setUp(PUMP_TEXT, 'ODO 45231 mi');
+      const result = await OCR.extractTextByType('data:image/jpeg;base64,');
+      return result.photoType === 'pump' && result.engine === 'worker' &&
+        worker.calls === 1 && tesseract.calls === 0;
+    }
+  },
+  {
+    name: 'routed engine reading nothing keeps the first reading',
+    run: async () => {
+      const { OCR } = setUp(ODOMETER_TEXT, '  ');
+      const result = await OCR.extractTextByType('data:image/jpeg;base64,');
+      return result.photoType === 'odometer' && result.engine === 'worker' && result.text === ODOMETER_TEXT;
+    }
+  },
+  {
+    name: 'a route set with setRoute() is the one used',
+    run: async () => {
+      const { OCR, tesseract } = setUp(ODOMETER_TEXT, 'ODO 45231 mi');
+      OCR.setRoute('odometer', ['worker']);
+      const result = await OCR.extractTextByType('data:image/jpeg;base64,');
+      return result.photoType === 'odometer' && result.engine === 'worker' && tesseract.calls === 0;
+    }
+  },
+  {
+    name: 'unclassified photo is not read again',
+    run: async () => {
+      const { OCR, worker, tesseract } = setUp('THANK YOU', 'ODO 45231 mi');
+      const result = await OCR.extractTextByType('data:image/jpeg;base64,');
+      return result.photoType === 'unknown' && worker.calls === 1 && tesseract.calls === 0;
+    }
+  },
+  {
+    name: 'ensemble reads with one cloud engine',
+    run: async () => {
+      const { OCR, worker, tesseract } = setUp(PUMP_TEXT, 'ODO 45231 mi');
+      const vision = fakeEngine(OCR, 'vision', PUMP_TEXT, ['pump', 'odometer', 'unknown'], false);
+      const decoder = fakeEngine(OCR, 'seven-segment', '12.345\n44.43\n3.599', ['pump']);
+      OCR.setOcrMode('ensemble');
+      const result = await OCR.extractText('data:image/jpeg;base64,', 'pump');
+      return worker.calls === 1 && vision.calls === 0 && decoder.calls === 1 && tesseract.calls === 1 &&
+        result.ensemble.map(r => r.engine).join(',') === 'worker,seven-segment,tesseract';
+    }
+  },
+  {
+    name: 'ensemble reading that does not parse gets no vote',
+    run: async () => {
+      const { OCR } = setUp(PUMP_TEXT, 'ODO 45231 mi');
+      fakeEngine(OCR, 'seven-segment', '8.888\n8 8', ['pump']);
+      OCR.setOcrMode('ensemble');
+      const result = await OCR.extractText('data:image/jpeg;base64,', 'pump');
+      const pump = OCR.classifyPhoto(result).parsed.pump;
+      return result.ensemble.length === 3 && pump.gallons.value === 12.345 &&
+        !pump.gallons.note && pump.total.value === 44.43 && pump.reconciliation.status === 'consistent';
+    }
+  },
+  {
+    name: 'ensemble readings that parse are voted on',
+    run: async () => {
+      const { OCR } = setUp(PUMP_TEXT, 'ODO 45231 mi');
+      fakeEngine(OCR, 'seven-segment', '12.345\n44.48\n3.599', ['pump']);
+      OCR.setOcrMode('ensemble');
+      const result = await OCR.extractText('data:image/jpeg;base64,', 'pump');
+      const pump = OCR.classifyPhoto(result).parsed.pump;
+      return pump.gallons.votes.length === 2 && pump.gallons.votes.every(v => v.value === 12.345);
+    }
+  },
+  {
+    name: 'settings fall back to their defaults when localStorage throws',
+    run: async () => {
+      const OCR = loadOcr(true);
+      OCR.setLocale('de-DE');
+      return OCR.getLocale() === 'en-US' && OCR.getUnitSystem() === 'us' &&
+        OCR.getOcrMode() === 'single' && OCR.getPumpEngine() === 'auto' &&
+        OCR.getOdometerType() === 'digital';
+    }
+  }
+];
+
+let passed = 0;
+let failed = 0;
+for (const check of checks) {
+  let ok = false;
+  try {
+    ok = await check.run();
+  } catch (error) {
+    console.log(`    ${error.message}`);
+  }
+  console.log(`  ${ok ? '✓' : '✗'} ${check.name}`);
+  if (ok) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+console.log(`\n${'='.repeat(40)}`);
+console.log(`${passed}/${passed + failed} routing checks passed`);
+if (failed > 0) {
+  process.exit(1);
+}
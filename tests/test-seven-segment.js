@@ -0,0 +1,126 @@
+// tests/test-seven-segment.js
+// The on-device seven-segment decoder against synthetic displays: every digit drawn
+// from its segments, decoded without a browser, and the plausibility check that keeps
+// stray digits from being used as a pump reading
+
+import Parsers from '../parsers.js';
+import SevenSegment from '../seven-segment.js';
+
+// Lit segments per digit, a b c d e f g (as in seven-segment.js)
+const SEGMENTS = {
+  0: 'abcdef', 1: 'bc', 2: 'abdeg', 3: 'abcdg', 4: 'bcfg',
+  5: 'acdfg', 6: 'acdefg', 7: 'abc', 8: 'abcdefg', 9: 'abcdfg'
+};
+
+// Digit cell geometry in pixels
+const DIGIT = { width: 40, height: 70, stroke: 8, gap: 2, spacing: 24 };
+const MARGIN = 20;
+
+/**
+ * Segment rectangles of a digit cell at (x, y): full-height sides, a thin gap where segments meet
+ */
+function segmentBoxes(x, y) {
+  const { width: w, height: h, stroke: s, gap: g } = DIGIT;
+  const half = Math.round(h / 2);
+  return {
+    a: [x + s + g, y, x + w - s - g, y + s],
+    b: [x + w - s, y + g, x + w, y + half - g],
+    c: [x + w - s, y + half + g, x + w, y + h - g],
+    d: [x + s + g, y + h - s, x + w - s - g, y + h],
+    e: [x, y + half + g, x + s, y + h - g],
+    f: [x, y + g, x + s, y + half - g],
+    g: [x + s + g, y + half - s / 2, x + w - s - g, y + half + s / 2]
+  };
+}
+
+/**
+ * Draw display lines such as "14.997" into a foreground mask, one row per line
+ * @returns {{data: Uint8Array, width: number, height: number}} - Like SevenSegment.binarize()
+ */
+function drawDisplay(lines) {
+  const step = DIGIT.width + DIGIT.spacing;
+  const width = MARGIN * 2 + Math.max(...lines.map(line => line.replace('.', '').length)) * step;
+  const height = MARGIN + lines.length * (DIGIT.height + MARGIN);
+  const binary = { data: new Uint8Array(width * height), width, height };
+
+  const fill = ([x0, y0, x1, y1]) => {
+    for (let y = Math.round(y0); y < Math.round(y1); y++) {
+      for (let x = Math.round(x0); x < Math.round(x1); x++) {
+        binary.data[y * width + x] = 1;
+      }
+    }
+  };
+
+  lines.forEach((line, row) => {
+    const y = MARGIN + row * (DIGIT.height + MARGIN);
+    let x = MARGIN;
+    for (const char of line) {
+      if (char === '.') {
+        // Point in the gap before the next digit, on the baseline
+        const left = x - DIGIT.spacing / 2 - DIGIT.stroke / 2;
+        fill([left, y + DIGIT.height - DIGIT.stroke, left + DIGIT.stroke, y + DIGIT.height]);
+        continue;
+      }
+      const boxes = segmentBoxes(x, y);
+      [...SEGMENTS[char]].forEach(segment => fill(boxes[segment]));
+      x += step;
+    }
+  });
+
+  return binary;
+}
+
+const checks = [
+  ...Object.keys(SEGMENTS).map(digit => {
+    const shown = `${digit}.${digit}${digit}`;
+    return {
+      name: `digit ${digit} (${shown})`,
+      run: () => SevenSegment.decodeBinary(drawDisplay([shown])).text === shown
+    };
+  }),
+  {
+    name: 'all digits in one row',
+    run: () => SevenSegment.decodeBinary(drawDisplay(['0123456789'])).text === '0123456789'
+  },
+  {
+    name: 'pump display read and accepted as a pump reading',
+    run: () => {
+      const result = SevenSegment.decodeBinary(drawDisplay(['54.72', '14.997', '3.649']));
+      return result.text === '54.72\n14.997\n3.649' && Parsers.isPlausiblePumpReading(result);
+    }
+  },
+  {
+    name: 'stray digits are not a pump reading',
+    run: () => !Parsers.isPlausiblePumpReading({ text: '8 8\n8 8 8', lines: [] })
+  },
+  {
+    name: 'one number is not a pump reading',
+    run: () => {
+      const result = SevenSegment.decodeBinary(drawDisplay(['54.72']));
+      return result.text === '54.72' && !Parsers.isPlausiblePumpReading(result);
+    }
+  }
+];
+
+let passed = 0;
+let failed = 0;
+for (const check of checks) {
+  let ok = false;
+  try {
+    ok = check.run();
+  } catch (error) {
+    console.log(`    ${error.message}`);
+  }
+  console.log(`  ${ok ? '✓' : '✗'} ${check.name}`);
+  if (ok) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+console.log(`\n${'='.repeat(40)}`);
+console.log(`${passed}/${passed + failed} seven-segment checks passed`);
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,147 @@
+// tests/test-worker-local.js
+// The worker's request handler run in Node against the local Vision stand-in
+// (tests/vision-server.js): no Cloudflare account, no Vision key, no network.
+// The test photos (tests/images-converted) have canned responses transcribed by hand, with
+// no word boxes: their checks cover the worker and the text parsers, not OCR.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Parsers from '../parsers.js';
+import worker from '../worker/src/index.js';
+import { loadTestImages, locale } from './runner.js';
+import { startVisionServer } from './vision-server.js';
+
+const CONVERTED_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'images-converted');
+
+// 1x1 PNGs: the white one has a canned pump display in tests/fixtures/vision, the black one none
+const CANNED_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAAAAAA6fptVAAAACklEQVR4nGP4DwABAQEAsTj2FAAAAABJRU5ErkJggg==';
+const UNKNOWN_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAAAAAA6fptVAAAACklEQVR4nGNgAAAAAgABSK+kcQAAAABJRU5ErkJggg==';
+// The first bytes of a HEIC photo, sent with a JPEG type as a renamed .HEIC would be
+const HEIC_IMAGE = 'data:image/jpeg;base64,' +
+  Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic'), Buffer.alloc(12)]).toString('base64');
+
+const BYPASS_KEY = 'local-test';
+
+/**
+ * POST an image to the worker's /ocr route
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function postToWorker(env, image) {
+  const request = new Request('http://localhost/ocr', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Test-Bypass': BYPASS_KEY },
+    body: JSON.stringify({ image })
+  });
+  const response = await worker.fetch(request, env, {});
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * A converted test photo as a JPEG data URL
+ */
+function readConverted(test) {
+  const file = path.join(CONVERTED_DIR, `${path.basename(test.filename, path.extname(test.filename))}.jpg`);
+  return `data:image/jpeg;base64,${fs.readFileSync(file).toString('base64')}`;
+}
+
+// No Tesseract fallback: unknown images get Vision's per-image error, whatever is installed
+const stub = await startVisionServer({ port: 0, tesseract: false, quiet: true });
+const env = {
+  GOOGLE_VISION_API_KEY: 'local',
+  VISION_API_BASE_URL: stub.url,
+  TEST_BYPASS_KEY: BYPASS_KEY
+};
+
+const checks = [
+  {
+    name: 'canned response is parsed like a Vision one',
+    run: async () => {
+      const { status, body } = await postToWorker(env, CANNED_IMAGE);
+      const parsed = Parsers.parsePumpData(body.data, { locale: 'en-US', unitSystem: 'us' });
+      return status === 200 && body.data.lines.length === 7 &&
+        parsed.gallons.value === 12.345 && parsed.pricePerGallon.value === 3.599 && parsed.total.value === 44.43;
+    }
+  },
+  {
+    name: 'base URL with a trailing slash',
+    run: async () => {
+      const { status } = await postToWorker(Object.assign({}, env, { VISION_API_BASE_URL: `${stub.url}/` }), CANNED_IMAGE);
+      return status === 200;
+    }
+  },
+  {
+    name: 'HEIC photo is refused without calling Vision',
+    run: async () => {
+      const before = stub.requests.length;
+      const { status, body } = await postToWorker(env, HEIC_IMAGE);
+      return status === 400 && body.error.includes('HEIC') && stub.requests.length === before;
+    }
+  },
+  ...[403, 429, 500, 503].map(code => ({
+    name: `Vision ${code} is a 502 from the worker`,
+    run: async () => {
+      stub.failNext(code);
+      const { status, body } = await postToWorker(env, CANNED_IMAGE);
+      return status === 502 && body.success === false && body.error.includes(`HTTP ${code}`);
+    }
+  })),
+  {
+    name: 'image Vision cannot read is a 400 from the worker',
+    run: async () => {
+      const { status, body } = await postToWorker(env, UNKNOWN_IMAGE);
+      return status === 400 && body.success === false && body.error.includes('No canned response');
+    }
+  },
+  {
+    name: 'Vision answer without responses is a 502 from the worker',
+    run: async () => {
+      // A 200 carrying only an error body: the shape is wrong, not the image
+      stub.failNext(200);
+      const { status, body } = await postToWorker(env, CANNED_IMAGE);
+      return status === 502 && body.error.includes('no response');
+    }
+  },
+  ...loadTestImages().map(test => ({
+    name: `test photo ${test.filename} (transcribed text: parsed, not OCR)`,
+    run: async () => {
+      const { status, body } = await postToWorker(env, readConverted(test));
+      const options = { locale, unitSystem: 'us' };
+      if (status !== 200) {
+        return false;
+      }
+      if (test.type === 'pump') {
+        const parsed = Parsers.parsePumpData(body.data, options);
+        return parsed.gallons.value === test.gallons && parsed.total.value === test.total;
+      }
+      return Parsers.parseOdometerData(body.data, options).miles.value === test.miles;
+    }
+  }))
+];
+
+let passed = 0;
+let failed = 0;
+try {
+  for (const check of checks) {
+    let ok = false;
+    try {
+      ok = await check.run();
+    } catch (error) {
+      console.log(`    ${error.message}`);
+    }
+    console.log(`  ${ok ? '✓' : '✗'} ${check.name}`);
+    if (ok) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+} finally {
+  await stub.close();
+}
+
+console.log(`\n${'='.repeat(40)}`);
+console.log(`${passed}/${passed + failed} local worker checks passed`);
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,302 @@
+// tests/vision-server.js
+// Local stand-in for Google Vision's images:annotate (TEXT_DETECTION), so the worker can
+// be developed and tested without a billed key. Point the worker at it with
+// VISION_API_BASE_URL=http://127.0.0.1:8790 (any GOOGLE_VISION_API_KEY will do).
+//
+// - Canned responses: tests/fixtures/vision/<sha256 of the image bytes>.json,
+//   {image, response} where response is one entry of Vision's `responses` array
+//   (the ones for tests/images-converted were transcribed by hand and have no word boxes)
+// - Unknown images are read by Tesseract.js, a dev dependency of the worker that fetches
+//   its language data on first use; --no-tesseract, or a Tesseract that can't start
+//   (logged), answers them with a per-image error
+// - Errors: --fail=<status> fails every request; POST /__stub/failures {status, count}
+//   fails the next `count` requests (DELETE clears them)
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startTesseract } from './worker-modules.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CANNED_DIR = path.join(__dirname, 'fixtures', 'vision');
+
+const DEFAULT_PORT = 8790;
+
+// Error bodies the way Google sends them
+const ERRORS = {
+  400: { status: 'INVALID_ARGUMENT', message: 'Request contains an invalid argument.' },
+  403: { status: 'PERMISSION_DENIED', message: 'API key not valid. Please pass a valid API key.' },
+  404: { status: 'NOT_FOUND', message: 'Not found.' },
+  429: { status: 'RESOURCE_EXHAUSTED', message: "Quota exceeded for quota metric 'Requests' of service 'vision.googleapis.com'." },
+  500: { status: 'INTERNAL', message: 'Internal error encountered.' },
+  503: { status: 'UNAVAILABLE', message: 'The service is currently unavailable.' }
+};
+
+/**
+ * SHA-256 of an image's bytes, the key of its canned response
+ * @param {string} content - Base64 image, as in a Vision request
+ */
+export function hashImage(content) {
+  return crypto.createHash('sha256').update(Buffer.from(content, 'base64')).digest('hex');
+}
+
+/**
+ * Load the canned response for an image, or null if there is none
+ */
+function loadCanned(cannedDir, hash) {
+  const file = path.join(cannedDir, `${hash}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+}
+
+/**
+ * Four corners of a Tesseract bbox as a Vision boundingPoly
+ */
+function toBoundingPoly(bbox) {
+  return {
+    vertices: [
+      { x: bbox.x0, y: bbox.y0 },
+      { x: bbox.x1, y: bbox.y0 },
+      { x: bbox.x1, y: bbox.y1 },
+      { x: bbox.x0, y: bbox.y1 }
+    ]
+  };
+}
+
+/**
+ * Turn a Tesseract.js result into Vision textAnnotations: the full text, then each word
+ */
+function toTextAnnotations(data) {
+  const words = data.words || (data.lines || []).flatMap(line => line.words || []);
+  if (!data.text || !data.text.trim()) {
+    return {};
+  }
+
+  const xs = words.flatMap(w => [w.bbox.x0, w.bbox.x1]);
+  const ys = words.flatMap(w => [w.bbox.y0, w.bbox.y1]);
+  const whole = words.length
+    ? { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) }
+    : { x0: 0, y0: 0, x1: 0, y1: 0 };
+
+  return {
+    textAnnotations: [
+      { locale: 'en', description: data.text, boundingPoly: toBoundingPoly(whole) },
+      ...words.map(word => ({ description: word.text, boundingPoly: toBoundingPoly(word.bbox) }))
+    ]
+  };
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a Google-style error
+ */
+function sendError(res, status, message) {
+  const known = ERRORS[status] || { status: 'UNKNOWN', message: 'Simulated error.' };
+  const headers = status === 429 ? { 'Retry-After': '30' } : {};
+  sendJson(res, status, { error: { code: status, message: message || known.message, status: known.status } }, headers);
+}
+
+/**
+ * Read a request body as JSON (null if it isn't)
+ */
+async function readJson(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  try {
+    return JSON.parse(body || '{}');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Start the stand-in server
+ * @param {object} [options]
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {string} [options.cannedDir] - Canned responses, keyed by image hash
+ * @param {number} [options.failWith] - Fail every request with this HTTP status
+ * @param {boolean} [options.tesseract] - Read unknown images with Tesseract.js when it can start
+ * @param {boolean} [options.quiet] - No request log
+ * @returns {Promise<{url: string, failNext: function, requests: Array, close: function}>}
+ */
+export async function startVisionServer({
+  port = DEFAULT_PORT,
+  cannedDir = CANNED_DIR,
+  failWith = null,
+  tesseract: useTesseract = true,
+  quiet = false
+} = {}) {
+  const log = quiet ? () => {} : console.log;
+  // Statuses of the next requests to fail, in order
+  const failures = [];
+  // What each annotate request got, for tests
+  const requests = [];
+  // The Tesseract worker once asked for: resolves to null when it couldn't start
+  let tesseract = null;
+
+  /**
+   * Read an image with Tesseract.js, or null when it is off or couldn't start
+   */
+  async function readWithTesseract(content) {
+    if (!useTesseract) {
+      return null;
+    }
+    if (!tesseract) {
+      tesseract = startTesseract().catch(error => {
+        console.warn(`Tesseract.js is off, unknown images get an error: ${error.message}`);
+        return null;
+      });
+    }
+    const worker = await tesseract;
+    if (!worker) {
+      return null;
+    }
+    const { data } = await worker.recognize(Buffer.from(content, 'base64'));
+    return toTextAnnotations(data);
+  }
+
+  /**
+   * Answer one entry of an annotate request's `requests`
+   */
+  async function annotate(request) {
+    const content = request.image && request.image.content;
+    const types = (request.features || []).map(f => f.type);
+    if (!content) {
+      return { error: { code: 3, message: 'image.content is required' } };
+    }
+    if (!types.includes('TEXT_DETECTION')) {
+      return { error: { code: 3, message: 'Only TEXT_DETECTION is supported by the stand-in' } };
+    }
+
+    const hash = hashImage(content);
+    const canned = loadCanned(cannedDir, hash);
+    if (canned) {
+      log(`  canned ${hash}`);
+      requests.push({ hash, source: 'canned' });
+      return canned;
+    }
+
+    const read = await readWithTesseract(content);
+    if (read) {
+      log(`  tesseract ${hash}`);
+      requests.push({ hash, source: 'tesseract' });
+      return read;
+    }
+
+    log(`  unknown ${hash}`);
+    requests.push({ hash, source: 'none' });
+    return { error: { code: 5, message: `No canned response for ${hash} (Tesseract is off or couldn't start)` } };
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    log(`${req.method} ${url.pathname}`);
+
+    try {
+      if (url.pathname === '/__stub/failures') {
+        if (req.method === 'DELETE') {
+          failures.length = 0;
+          sendJson(res, 200, { failures });
+          return;
+        }
+        const body = await readJson(req);
+        if (!body || !Number.isInteger(body.status)) {
+          sendJson(res, 400, { error: 'Body must be {status, count}' });
+          return;
+        }
+        failNext(body.status, body.count || 1);
+        sendJson(res, 200, { failures });
+        return;
+      }
+
+      if (req.method !== 'POST' || url.pathname !== '/v1/images:annotate') {
+        sendError(res, 404, `${req.method} ${url.pathname} is not images:annotate`);
+        return;
+      }
+
+      if (failWith || failures.length > 0) {
+        const status = failWith || failures.shift();
+        log(`  failing with ${status}`);
+        requests.push({ hash: null, source: `error ${status}` });
+        sendError(res, status);
+        return;
+      }
+
+      if (!url.searchParams.get('key')) {
+        sendError(res, 403, 'The request is missing a valid API key.');
+        return;
+      }
+
+      const body = await readJson(req);
+      if (!body || !Array.isArray(body.requests) || body.requests.length === 0) {
+        sendError(res, 400);
+        return;
+      }
+
+      const responses = [];
+      for (const request of body.requests) {
+        responses.push(await annotate(request));
+      }
+      sendJson(res, 200, { responses });
+    } catch (error) {
+      log(`  ${error.message}`);
+      sendError(res, 500, error.message);
+    }
+  });
+
+  /**
+   * Fail the next `count` annotate requests with an HTTP status
+   */
+  function failNext(status, count = 1) {
+    for (let i = 0; i < count; i++) {
+      failures.push(status);
+    }
+  }
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    failNext,
+    requests,
+    close: async () => {
+      const worker = tesseract && await tesseract;
+      if (worker) {
+        await worker.terminate();
+      }
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+if (process.argv[1] === __filename) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+
+  const stub = await startVisionServer({
+    port: option('port') ? parseInt(option('port'), 10) : DEFAULT_PORT,
+    cannedDir: option('canned') || CANNED_DIR,
+    failWith: option('fail') ? parseInt(option('fail'), 10) : null,
+    tesseract: !args.includes('--no-tesseract')
+  });
+  console.log(`Vision stand-in listening on ${stub.url}`);
+  console.log(`Set VISION_API_BASE_URL=${stub.url} for the worker`);
+}
@@ -0,0 +1,42 @@
+// tests/worker-modules.js
+// Packages the test tools need (sharp, libheif-js, tesseract.js) are dev dependencies of
+// the worker, installed in worker/node_modules. A bare import() from tests/ would only look
+// in tests/node_modules and up, so they are resolved from worker/package.json instead.
+
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+const requireFromWorker = createRequire(new URL('../worker/package.json', import.meta.url));
+
+/**
+ * Import a package installed in worker/node_modules (`npm install` in worker/)
+ * @param {string} specifier - Package or file in it, e.g. 'sharp' or 'libheif-js/wasm-bundle.js'
+ * @returns {Promise<object>} The module namespace, as import() returns it
+ */
+export async function importFromWorker(specifier) {
+  return import(pathToFileURL(requireFromWorker.resolve(specifier)).href);
+}
+
+/**
+ * Start a Tesseract.js worker for English, installed in worker/node_modules
+ *
+ * tesseract.js downloads its language data the first time. When that fails, createWorker
+ * never settles (or, without an errorHandler, throws on its own thread and ends the
+ * process), so the errorHandler rejects here instead. The failed thread can't be reached
+ * to terminate it, so a command line tool that carries on should exit explicitly.
+ * @returns {Promise<object>} The Tesseract worker
+ * @throws {Error} When tesseract.js isn't installed or can't load its language data
+ */
+export async function startTesseract() {
+  const { default: Tesseract } = await importFromWorker('tesseract.js');
+  let startFailed;
+  const failed = new Promise((resolve, reject) => {
+    startFailed = reject;
+  });
+  return Promise.race([
+    Tesseract.createWorker('eng', 1, {
+      errorHandler: error => startFailed(new Error(`Tesseract could not start: ${error}`))
+    }),
+    failed
+  ]);
+}
@@ -5,12 +5,20 @@
 
 import { Router } from 'itty-router';
 import { checkRateLimit } from './rate-limit.js';
+// The app's parsers, shared with ocr.js and the test runner. The worker only uses
+// normalizeBoundingPoly and isHeic from it, but they stay in the one shared module so
+// word boxes and the HEIC check can't drift from the app's. It costs about 29 KB
+// minified (11 KB gzipped) in the bundle, far under Cloudflare's script size limit.
+import Parsers from '../../parsers.js';
 
 // Whitelisted IPs that bypass rate limiting (for testing)
 const WHITELISTED_IPS = [
   '2600:1700:84dd:be10:8592:588e:bc2b:a8f0', // Developer IP
 ];
 
+// Google Vision, unless VISION_API_BASE_URL points somewhere else (tests/vision-server.js)
+const DEFAULT_VISION_API_BASE_URL = 'https://vision.googleapis.com';
+
 // Create router
 const router = Router();
 
@@ -64,8 +72,13 @@ async function validateImageData(request) {
       throw new Error('Image must be a string (base64 or data URL)');
     }
 
+    // Vision doesn't decode HEIC, so say so rather than pass it on
+    if (isHeicImage(body.image)) {
+      throw new Error('HEIC images are not supported. Convert the photo to JPEG first (the app does this on upload)');
+    }
+
     // Validate base64/data URL format
-    const dataUrlPattern = /^data:image\/(jpeg|png|gif|webp|heic);base64,/i;
+    const dataUrlPattern = /^data:image\/(jpeg|png|gif|webp);base64,/i;
     const base64Pattern = /^[A-Za-z0-9+/]+={0,2}$/;
 
     if (!dataUrlPattern.test(body.image) && !base64Pattern.test(body.image)) {
@@ -90,6 +103,25 @@ async function validateImageData(request) {
   }
 }
 
+/**
+ * Whether an image (base64 or data URL) is HEIC/HEIF, by its declared type or its first bytes
+ * iPhones also save JPEGs with a .HEIC name, so the content decides
+ */
+function isHeicImage(image) {
+  if (/^data:image\/hei[cf]/i.test(image)) {
+    return true;
+  }
+
+  const base64Data = image.includes(',') ? image.split(',')[1] : image;
+  try {
+    // The first 16 base64 characters hold the 12 bytes up to the ftyp brand
+    const header = Uint8Array.from(atob(base64Data.slice(0, 16)), char => char.charCodeAt(0));
+    return Parsers.isHeic(header);
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Handle OPTIONS requests for CORS preflight
  */
@@ -151,7 +183,7 @@ router.post('/ocr', async (request, env) => {
     }
 
     // Call Vision API
-    const result = await callVisionAPI(imageData.image, apiKey);
+    const result = await callVisionAPI(imageData.image, apiKey, env.VISION_API_BASE_URL);
 
     return new Response(
       JSON.stringify({
@@ -173,7 +205,9 @@ router.post('/ocr', async (request, env) => {
         error: error.message,
       }),
       {
-        status: 400,
+        // Vision failing (bad key, quota, outage) is a 502: the request itself was fine,
+        // and the app must not take Vision's 429 for the worker's own rate limit
+        status: error.visionStatus ? 502 : 400,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
@@ -208,9 +242,10 @@ router.all('*', (request, env) => {
  * Call Google Vision API for text detection
  * @param {string} base64Image - Base64 encoded image (with or without data URL prefix)
  * @param {string} apiKey - Google Cloud API key
- * @returns {Promise<{text: string, lines: array}>}
+ * @param {string} [baseUrl] - Vision API origin (defaults to Google)
+ * @returns {Promise<{text: string, lines: array}>} Lines keep each word's boundingPoly
  */
-async function callVisionAPI(base64Image, apiKey) {
+async function callVisionAPI(base64Image, apiKey, baseUrl) {
   const base64Data = base64Image.includes(',')
     ? base64Image.split(',')[1]
     : base64Image;
@@ -223,7 +258,7 @@ async function callVisionAPI(base64Image, apiKey) {
   };
 
   const response = await fetch(
-    `https://vision.googleapis.com/v1/images:annotate?key=${apiKey}`,
+    `${(baseUrl || DEFAULT_VISION_API_BASE_URL).replace(/\/+$/, '')}/v1/images:annotate?key=${apiKey}`,
     {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -232,12 +267,27 @@ async function callVisionAPI(base64Image, apiKey) {
   );
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Vision API request failed');
+    // 5xx pages from a proxy in between may not be JSON
+    const body = await response.json().catch(() => null);
+    const error = new Error(`Vision API request failed (HTTP ${response.status})` +
+      (body?.error?.message ? `: ${body.error.message}` : ''));
+    error.visionStatus = response.status;
+    throw error;
   }
 
   const data = await response.json();
-  const annotations = data.responses[0]?.textAnnotations;
+  const imageResponse = Array.isArray(data?.responses) ? data.responses[0] : null;
+  if (!imageResponse) {
+    const error = new Error('Vision API returned no response for the image');
+    error.visionStatus = response.status;
+    throw error;
+  }
+
+  // A bad image fails on its own with a 200 for the request as a whole: a 400 for the client
+  if (imageResponse.error) {
+    throw new Error(`Vision API could not read the image: ${imageResponse.error.message}`);
+  }
+  const annotations = imageResponse.textAnnotations;
 
   if (!annotations || annotations.length === 0) {
     return { text: '', lines: [] };
@@ -250,7 +300,8 @@ async function callVisionAPI(base64Image, apiKey) {
     const annotation = annotations[i];
     lines.push({
       text: annotation.description,
-      confidence: annotation.confidence || 85
+      confidence: annotation.confidence || 85,
+      boundingPoly: Parsers.normalizeBoundingPoly(annotation.boundingPoly)
     });
   }
 